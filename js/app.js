@@ -25,6 +25,18 @@ async function initApp() {
     // Initialize DB Manager (will init IndexedDB)
     await dbManager.init();
 
+    // Permanently remove trash older than the retention period (once a day)
+    trashManager.purgeExpiredIfDue();
+
+    // Move base64 photos still embedded in records into the photo store
+    photoManager.migrateLegacyPhotos();
+
+    // Recalculate players rated by an older rating formula
+    recomputeStaleRatings();
+
+    // Pull other members' edits to the current group as they happen
+    groupManager.watchCurrentGroup();
+
     // Register service worker for offline support
     if ('serviceWorker' in navigator && app.mode === 'production') {
       try {
@@ -64,6 +76,15 @@ async function initApp() {
       }
     });
 
+    // Ask the user about sync conflicts (strategy 'ask')
+    window.addEventListener('hoopin:conflicts', () => reviewSyncConflicts());
+
+    // Warn when device storage fills up and offer to free some
+    window.addEventListener('hoopin:quota', () => handleStorageFull());
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo data changes
+    document.addEventListener('keydown', handleUndoShortcut);
+
     // Setup page load performance tracking
     if (window.performance && window.performance.timing) {
       window.addEventListener('load', () => {
@@ -164,6 +185,107 @@ function setupCommonElements() {
       el.textContent = currentGroup.groupName;
     });
   }
+
+  // Setup sync status display
+  setupSyncStatusIndicator();
+}
+
+/**
+ * Show sync status next to the logo (kept current across tabs by dbManager)
+ */
+function setupSyncStatusIndicator() {
+  const logo = document.querySelector('header .logo');
+  if (!logo || logo.querySelector('.sync-status')) return;
+
+  const indicator = document.createElement('span');
+  indicator.className = 'sync-status';
+  logo.appendChild(indicator);
+
+  window.addEventListener('hoopin:syncstatus', (event) => {
+    const { label, state } = describeSyncStatus(event.detail);
+    indicator.textContent = label;
+    indicator.dataset.state = state;
+    indicator.title = event.detail.lastError ? event.detail.lastError.message : '';
+  });
+
+  dbManager.init().then(() => dbManager.dispatchSyncStatus());
+}
+
+function describeSyncStatus(status) {
+  if (status.failed > 0) return { label: `${status.failed} failed`, state: 'error' };
+  if (!status.online) return { label: 'Offline', state: 'offline' };
+  if (status.syncing) return { label: 'Syncing…', state: 'syncing' };
+  if (status.pending > 0) return { label: `${status.pending} pending`, state: 'pending' };
+  return { label: 'Synced', state: 'synced' };
+}
+
+/**
+ * Undo/redo keyboard shortcuts (text fields keep their own undo)
+ */
+function handleUndoShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey)) return;
+
+  const target = event.target;
+  const isTextField = target.isContentEditable ||
+    target.tagName === 'TEXTAREA' ||
+    (target.tagName === 'INPUT' && target.type !== 'range');
+  if (isTextField) return;
+
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undoLastChange();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redoLastChange();
+  }
+}
+
+/**
+ * Undo the last data change and offer to redo it
+ */
+async function undoLastChange() {
+  if (!undoManager.canUndo()) {
+    showToast('Nothing to undo', 'info');
+    return;
+  }
+
+  const result = await undoManager.undo();
+  if (result.success) {
+    showToast(`Undid: ${result.label}`, 'info', 5000, { label: 'Redo', onClick: redoLastChange });
+  } else {
+    showToast(result.error || 'Failed to undo', 'error');
+  }
+}
+
+/**
+ * Redo the last undone change and offer to undo it again
+ */
+async function redoLastChange() {
+  if (!undoManager.canRedo()) {
+    showToast('Nothing to redo', 'info');
+    return;
+  }
+
+  const result = await undoManager.redo();
+  if (result.success) {
+    showToast(`Redid: ${result.label}`, 'info', 5000, { label: 'Undo', onClick: undoLastChange });
+  } else {
+    showToast(result.error || 'Failed to redo', 'error');
+  }
+}
+
+/**
+ * Show a success toast for a data change with an Undo action
+ */
+function showUndoToast(message, onUndo = null) {
+  showToast(message, 'success', 5000, {
+    label: 'Undo',
+    onClick: async () => {
+      await undoLastChange();
+      if (onUndo) onUndo();
+    }
+  });
 }
 
 /**
@@ -264,6 +386,136 @@ function confirmDialog(message, onConfirm, onCancel = null) {
   }
 }
 
+/**
+ * Walk the user through sync conflicts that were kept for review
+ */
+async function reviewSyncConflicts() {
+  const conflicts = await dbManager.getConflicts();
+
+  for (const conflict of conflicts) {
+    const record = conflict.local || conflict.remote || {};
+    const name = record.playerName || record.teamName || record.groupName || conflict.recordId;
+    const yours = conflict.operation === 'delete' ? 'your delete' : 'your version';
+
+    const keepLocal = confirm(
+      `"${name}" was changed by another member while you were offline.\n\n` +
+      `OK: keep ${yours}\nCancel: keep their version`
+    );
+    await dbManager.resolveConflict(conflict.conflictId, keepLocal ? 'local' : 'remote');
+  }
+
+  if (conflicts.length > 0) {
+    showToast('Conflicts resolved', 'success');
+  }
+}
+
+/**
+ * Offer a cleanup when a storage layer runs out of space
+ * (several writes can fail at once - only ask once per burst)
+ */
+let storageFullPrompted = false;
+
+async function handleStorageFull() {
+  if (storageFullPrompted) return;
+  storageFullPrompted = true;
+
+  showToast('Device storage is full - changes may not be saved offline', 'warning', 6000);
+
+  const cleanUp = confirm(
+    'Device storage is full.\n\n' +
+    'OK: free up space (clears the offline cache, expired trash and unused photos - nothing synced is lost)\n' +
+    'Cancel: not now'
+  );
+  if (cleanUp) {
+    await cleanUpStorage();
+  }
+
+  storageFullPrompted = false;
+}
+
+/**
+ * Free local storage space without losing data
+ */
+async function cleanUpStorage() {
+  try {
+    showLoading('Freeing up space...');
+
+    const evicted = dbManager.clearCache();
+    const trash = await trashManager.purgeExpired();
+    const photos = await photoManager.removeOrphanedPhotos();
+
+    hideLoading();
+    console.log(`🧹 Cleanup: ${evicted} cached records, ${trash.purged} trash items, ${photos.removed} photos`);
+    showToast(`Freed up space (${formatFileSize(photos.bytes)} of unused photos removed)`, 'success');
+  } catch (error) {
+    hideLoading();
+    console.error('Cleanup error:', error);
+    showToast('Failed to free up space', 'error');
+  }
+}
+
+/**
+ * Recalculate players stamped with an older rating formula, once per formula
+ * version on this device (pages without the player manager skip it)
+ */
+async function recomputeStaleRatings() {
+  if (typeof playerManager === 'undefined') return;
+
+  const version = ratingsCalculator.getFormulaVersion();
+  if (storage.get('ratingFormulaVersion') === version) return;
+
+  const result = await playerManager.recomputeRatings();
+  if (!result.success) return;
+
+  // Offline, only local records were checked - try again next time
+  if (dbManager.isOnline) {
+    storage.set('ratingFormulaVersion', version);
+  }
+
+  const changed = result.tierChanges.length;
+  if (changed > 0) {
+    showToast(`Ratings updated: ${changed} ${changed === 1 ? 'player' : 'players'} changed tier`, 'info', 5000);
+  }
+}
+
+/**
+ * Check stored data for broken references, out-of-step layers and stale
+ * ratings, and offer to repair what was found
+ */
+async function checkDataIntegrity() {
+  try {
+    showLoading('Checking data...');
+    const { issues } = await dbManager.verifyIntegrity();
+    hideLoading();
+
+    if (issues.length === 0) {
+      showToast('No problems found', 'success');
+      return;
+    }
+
+    const summary = issues.slice(0, 5).map(issue => `• ${issue.message}`).join('\n');
+    const more = issues.length > 5 ? `\n…and ${issues.length - 5} more` : '';
+    if (!confirm(`Found ${issues.length} ${issues.length === 1 ? 'problem' : 'problems'}:\n\n${summary}${more}\n\nRepair now? Orphaned items go to the trash.`)) {
+      return;
+    }
+
+    showLoading('Repairing data...');
+    const { fixed, unfixed } = await dbManager.repair();
+    hideLoading();
+
+    showToast(
+      unfixed.length > 0
+        ? `Repaired ${fixed.length} problems - ${unfixed.length} could not be fixed (see console)`
+        : `Repaired ${fixed.length} ${fixed.length === 1 ? 'problem' : 'problems'}`,
+      unfixed.length > 0 ? 'warning' : 'success'
+    );
+  } catch (error) {
+    hideLoading();
+    console.error('Integrity check error:', error);
+    showToast('Failed to check data', 'error');
+  }
+}
+
 /**
  * Export data (for backup)
  */
@@ -275,10 +527,12 @@ async function exportData() {
     
     const data = {
       version: app.version,
+      schemaVersion: migrationManager.getCurrentVersion(),
       exportDate: Date.now(),
       groups,
       teams,
-      players
+      players,
+      photos: await photoManager.exportPhotos([...teams, ...players])
     };
     
     const json = JSON.stringify(data, null, 2);
@@ -313,21 +567,24 @@ async function importData(file) {
     if (confirm('This will replace all current data. Continue?')) {
       showLoading('Importing data...');
       
-      // Import all data
+      // Import all data (older backups are upgraded to the current schema first)
       for (const group of data.groups) {
-        await dbManager.save('groups', group.groupId, group);
+        await dbManager.save('groups', group.groupId, migrationManager.migrateRecord('groups', group));
       }
       for (const team of data.teams) {
-        await dbManager.save('teams', team.teamId, team);
+        await dbManager.save('teams', team.teamId, migrationManager.migrateRecord('teams', team));
       }
       for (const player of data.players) {
-        await dbManager.save('players', player.playerId, player);
+        await dbManager.save('players', player.playerId, migrationManager.migrateRecord('players', player));
       }
+
+      // Photos are stored by id; older backups embed them and get moved instead
+      await photoManager.importPhotos(data.photos);
+      await photoManager.migrateLegacyPhotos();
       
       hideLoading();
+      // Open pages pick the imported records up through their subscriptions
       showToast('Data imported successfully', 'success');
-      
-      setTimeout(() => window.location.reload(), 1000);
     }
   } catch (error) {
     hideLoading();
@@ -354,5 +611,12 @@ window.getRelativeTime = getRelativeTime;
 window.createEmptyState = createEmptyState;
 window.setupImageUpload = setupImageUpload;
 window.confirmDialog = confirmDialog;
+window.reviewSyncConflicts = reviewSyncConflicts;
+window.recomputeStaleRatings = recomputeStaleRatings;
+window.undoLastChange = undoLastChange;
+window.redoLastChange = redoLastChange;
+window.showUndoToast = showUndoToast;
+window.cleanUpStorage = cleanUpStorage;
+window.checkDataIntegrity = checkDataIntegrity;
 window.exportData = exportData;
 window.importData = importData;
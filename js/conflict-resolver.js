@@ -0,0 +1,143 @@
+/**
+ * Sync Conflict Resolution
+ * Detects and resolves conflicts when queued offline writes are replayed
+ *
+ * Every queued write remembers the `updatedAt` (and a snapshot) of the record
+ * it was edited from. On replay, a remote `updatedAt` newer than that base
+ * means someone else changed the record while we were offline.
+ *
+ * Strategies:
+ * - last-write-wins: the newer of the two versions replaces the other
+ * - merge: three-way field merge against the base, newer side wins a field both changed
+ * - ask: keep both versions and let the user pick
+ */
+
+const CONFLICT_STRATEGIES = {
+  LAST_WRITE_WINS: 'last-write-wins',
+  MERGE: 'merge',
+  ASK: 'ask'
+};
+
+const DEFAULT_CONFLICT_STRATEGY = CONFLICT_STRATEGIES.MERGE;
+
+// Bookkeeping fields that are never merged field by field
+const MERGE_IGNORED_FIELDS = ['updatedAt', 'schemaVersion'];
+
+class ConflictResolver {
+  /**
+   * Get configured strategy
+   */
+  getStrategy() {
+    const strategy = storage.get('syncConflictStrategy', DEFAULT_CONFLICT_STRATEGY);
+    return Object.values(CONFLICT_STRATEGIES).includes(strategy) ? strategy : DEFAULT_CONFLICT_STRATEGY;
+  }
+
+  /**
+   * Set strategy used for future conflicts
+   */
+  setStrategy(strategy) {
+    if (!Object.values(CONFLICT_STRATEGIES).includes(strategy)) {
+      throw new Error(`Unknown conflict strategy: ${strategy}`);
+    }
+    storage.set('syncConflictStrategy', strategy);
+  }
+
+  /**
+   * Check if the remote record changed after the queued item's base
+   */
+  isConflict(item, remote) {
+    if (!remote || !remote.updatedAt) return false;
+
+    // Our own write already landed (e.g. replayed twice)
+    if (item.data && remote.updatedAt === item.data.updatedAt) return false;
+
+    if (item.baseUpdatedAt === null || item.baseUpdatedAt === undefined) return true;
+    return remote.updatedAt > item.baseUpdatedAt;
+  }
+
+  /**
+   * Pick the newer version
+   * Returns 'local' or 'remote'
+   */
+  lastWriteWins(item, remote) {
+    const localTime = item.operation === 'delete'
+      ? item.timestamp
+      : (item.data && item.data.updatedAt) || item.timestamp;
+    return localTime >= remote.updatedAt ? 'local' : 'remote';
+  }
+
+  /**
+   * Three-way merge of local and remote against their common base
+   */
+  mergeFields(base, local, remote, ratingSchema = null) {
+    const baseRecord = base || {};
+    const localWins = (local.updatedAt || 0) >= (remote.updatedAt || 0);
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    for (const key of keys) {
+      if (MERGE_IGNORED_FIELDS.includes(key)) continue;
+      merged[key] = this.mergeValue(baseRecord[key], local[key], remote[key], localWins);
+    }
+
+    return this.recalculateDerived(merged, ratingSchema);
+  }
+
+  mergeValue(base, local, remote, localWins) {
+    const localChanged = !this.isEqual(local, base);
+    const remoteChanged = !this.isEqual(remote, base);
+
+    if (!remoteChanged) return local;
+    if (!localChanged) return remote;
+    if (this.isEqual(local, remote)) return local;
+
+    // Both sides changed this field
+    if (this.isPlainObject(local) && this.isPlainObject(remote)) {
+      const baseObject = this.isPlainObject(base) ? base : {};
+      const merged = {};
+      for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+        merged[key] = this.mergeValue(baseObject[key], local[key], remote[key], localWins);
+      }
+      return merged;
+    }
+
+    if (Array.isArray(local) && Array.isArray(remote)) {
+      return this.mergeIdLists(Array.isArray(base) ? base : [], local, remote, localWins);
+    }
+
+    return localWins ? local : remote;
+  }
+
+  /**
+   * Merge lists like members, group.teams or roster slots
+   * Keeps the newer side's order, then applies the other side's additions and removals
+   */
+  mergeIdLists(base, local, remote, localWins) {
+    const [winner, other] = localWins ? [local, remote] : [remote, local];
+    const added = other.filter(item => !base.includes(item) && !winner.includes(item));
+    const removed = base.filter(item => !other.includes(item));
+
+    return [...winner, ...added].filter(item => !removed.includes(item));
+  }
+
+  /**
+   * Recompute player ratings after stats (or raters) were merged from two sides
+   * @param {Object} [ratingSchema] - the player's group rating schema
+   */
+  recalculateDerived(record, ratingSchema = null) {
+    if (!record.playerId || typeof ratingsCalculator === 'undefined') return record;
+
+    return ratingsCalculator.ratePlayer(record, ratingSchema);
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Create global instance
+const conflictResolver = new ConflictResolver();
@@ -1,87 +1,390 @@
 /**
- * Triple-Layer Data Persistence Manager
- * 
- * Layer 1: Firebase Realtime Database (primary cloud storage)
- * Layer 2: IndexedDB (browser database for offline)
- * Layer 3: localStorage (session fallback)
- * 
- * Data flows: Write to all layers, read from fastest available layer
+ * Layered Data Persistence Manager
+ *
+ * Records are written to every storage layer. A single record is read from
+ * the first layer that has it; lists are read from the local layers (and the
+ * remote one when they may be out of date) and reconciled by `updatedAt`. Each layer is a storage adapter (see storage-adapters.js),
+ * listed in read order. The default browser layers:
+ *
+ * localStorage (session fallback, fastest)
+ * IndexedDB (browser database for offline)
+ * Firebase Realtime Database (primary cloud storage)
+ *
+ * Writes to a remote layer are queued while offline and replayed later.
+ * With several tabs open, one of them (the leader, see tab-coordinator.js)
+ * replays the queue and the others are told about every write.
  * Ensures data NEVER disappears
+ *
+ * Headless (Node scripts, tests): new DBManager({ layers: [new MemoryAdapter()] }),
+ * handed to the managers as `db` (see scripts/headless-check.js)
  */
 
+// Sync queue retry schedule
+const SYNC_RETRY = {
+  maxAttempts: 5,       // Moved to the dead-letter store after this many failures
+  baseDelay: 2000,      // First retry after 2s, doubling each time
+  maxDelay: 5 * 60 * 1000
+};
+
+// Meta record each local layer keeps with the schema version it has been migrated to
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// List reads go to the remote layer at most this often per read; in between,
+// and for the watched group's records, the local layers are trusted
+const REMOTE_READ_TTL = 5 * 60 * 1000;
+
+// Meta record in the system store with when each list read last went remote
+const REMOTE_READS_KEY = 'remoteReads';
+
+// Local tombstones are dropped after this long (a copy of the record left in
+// another layer longer than that may come back)
+const TOMBSTONE_RETENTION = 90 * 24 * 60 * 60 * 1000;
+
 class DBManager {
-  constructor() {
-    this.dbName = 'HoopinDB';
-    this.dbVersion = 1;
-    this.db = null;
-    this.isOnline = navigator.onLine;
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.layers] - storage adapters in read order (fastest first)
+   * @param {Object} [options.store] - adapter for the sync queue, conflicts and
+   *   dead letters (defaults to the first layer with system stores)
+   * @param {TabCoordinator|null} [options.coordinator] - shares writes and sync
+   *   with other tabs (defaults to a BroadcastChannel coordinator in the browser)
+   */
+  constructor(options = {}) {
+    this.layers = options.layers || this.createDefaultLayers();
+    this.store = options.store || this.layers.find(layer => layer.systemStores) || new MemoryAdapter();
+    this.isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true;
     this.syncQueue = [];
+    this.ready = null;
+    this.syncing = null;
+    this.syncRetryTimer = null;
+    this.syncState = {
+      lastSyncAt: null,
+      lastError: null
+    };
+    this.subscribers = [];
+    this.watchedGroup = null;
+    this.remoteReads = null;
+    this.coordinator = options.coordinator !== undefined ? options.coordinator : this.createDefaultCoordinator();
+    this.leaderStatus = null;
     
     this.init();
   }
 
+  createDefaultLayers() {
+    if (typeof window === 'undefined') {
+      return [new MemoryAdapter()];
+    }
+    return [new LocalStorageAdapter(), new IndexedDBAdapter('HoopinDB', 8), new FirebaseAdapter()];
+  }
+
+  createDefaultCoordinator() {
+    if (typeof window === 'undefined' || !TabCoordinator.isSupported()) {
+      return null;
+    }
+    return new TabCoordinator();
+  }
+
   /**
    * Initialize database connections
+   * Safe to call more than once - every caller waits on the same setup
    */
-  async init() {
-    // Setup online/offline listeners
-    window.addEventListener('online', () => this.handleOnline());
-    window.addEventListener('offline', () => this.handleOffline());
+  init() {
+    if (!this.ready) {
+      this.ready = this.setup();
+    }
+    return this.ready;
+  }
 
-    // Initialize IndexedDB
-    await this.initIndexedDB();
+  async setup() {
+    if (typeof window !== 'undefined') {
+      // Setup online/offline listeners
+      window.addEventListener('online', () => this.handleOnline());
+      window.addEventListener('offline', () => this.handleOffline());
 
-    // Initialize Firebase
-    initializeFirebase();
+      if (this.coordinator) {
+        this.setupCoordinator();
+      } else {
+        // Without a coordinator, writes from other tabs show up as localStorage events
+        window.addEventListener('storage', (event) => this.handleStorageEvent(event));
+      }
+    }
+
+    // Open every layer, and the system store if it isn't one of them
+    for (const layer of new Set([...this.layers, this.store])) {
+      if (layer.init) await layer.init();
+    }
+
+    // Bring stored records up to the current schema
+    await this.runMigrations();
+    await this.pruneTombstones();
 
     console.log('✅ DB Manager initialized');
   }
 
   /**
-   * Initialize IndexedDB
+   * Layer helpers
    */
-  initIndexedDB() {
-    return new Promise((resolve, reject) => {
-      if (!('indexedDB' in window)) {
-        console.warn('⚠️ IndexedDB not supported');
-        resolve();
-        return;
+
+  getLocalLayers() {
+    return this.layers.filter(layer => !layer.remote);
+  }
+
+  getRemoteLayer() {
+    return this.layers.find(layer => layer.remote) || null;
+  }
+
+  isLayerAvailable(layer) {
+    return !layer.isAvailable || layer.isAvailable();
+  }
+
+  /**
+   * Remote layers are only read from and written to while online
+   */
+  isLayerReachable(layer) {
+    return this.isLayerAvailable(layer) && (!layer.remote || this.isOnline);
+  }
+
+  canReachRemote() {
+    const remote = this.getRemoteLayer();
+    return !!remote && this.isLayerReachable(remote);
+  }
+
+  /**
+   * Apply a batch of ops to one layer - atomically if the adapter supports it
+   */
+  async applyBatch(layer, ops) {
+    if (layer.applyBatch) {
+      await layer.applyBatch(ops);
+      return;
+    }
+    for (const op of ops) {
+      if (op.type === 'save') {
+        await layer.put(op.collection, op.id, op.data);
+      } else {
+        await layer.delete(op.collection, op.id);
       }
+    }
+  }
 
-      const request = indexedDB.open(this.dbName, this.dbVersion);
+  async putLocal(collection, id, record) {
+    for (const layer of this.getLocalLayers()) {
+      await layer.put(collection, id, record);
+    }
+  }
 
-      request.onerror = () => {
-        console.error('❌ IndexedDB error:', request.error);
-        reject(request.error);
-      };
+  /**
+   * Slowest layer first, so other tabs never see a record leave the
+   * localStorage cache while it is still in IndexedDB
+   */
+  async deleteLocal(collection, id, deletedAt = Date.now()) {
+    for (const layer of this.getLocalLayers().reverse()) {
+      await layer.delete(collection, id);
+    }
+    await this.saveTombstones([this.tombstoneOp(collection, id, deletedAt)]);
+  }
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log('✅ IndexedDB opened successfully');
-        resolve();
-      };
+  /**
+   * Delete from the remote layer, leaving a tombstone for other devices
+   */
+  async deleteRemote(collection, id, deletedAt = Date.now()) {
+    await this.applyBatch(this.getRemoteLayer(), [
+      { type: 'delete', collection, id },
+      this.tombstoneOp(collection, id, deletedAt)
+    ]);
+  }
+
+  /**
+   * Key of a record's tombstone and history entries (also a valid Firebase key)
+   */
+  getRecordKey(collection, id) {
+    return `${collection}:${id}`;
+  }
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
+  /**
+   * Tombstones
+   * Deleting a record leaves { key, collection, id, deletedAt } in the system
+   * store and on the remote layer. A copy of the record still sitting in
+   * another layer is only kept if it was edited after the deletion.
+   */
 
-        // Create object stores
-        if (!db.objectStoreNames.contains('groups')) {
-          db.createObjectStore('groups', { keyPath: 'groupId' });
-        }
-        if (!db.objectStoreNames.contains('teams')) {
-          db.createObjectStore('teams', { keyPath: 'teamId' });
-        }
-        if (!db.objectStoreNames.contains('players')) {
-          db.createObjectStore('players', { keyPath: 'playerId' });
+  tombstoneOp(collection, id, deletedAt) {
+    const key = this.getRecordKey(collection, id);
+    return { type: 'save', collection: 'tombstones', id: key, data: { key, collection, id, deletedAt } };
+  }
+
+  isTombstoned(tombstone, record) {
+    return !!tombstone && tombstone.deletedAt >= (record.updatedAt || 0);
+  }
+
+  /**
+   * Best effort - a missing tombstone only weakens the check, so it
+   * never fails the delete it belongs to
+   */
+  async saveTombstones(ops) {
+    if (ops.length === 0) return;
+    try {
+      await this.applyBatch(this.store, ops);
+    } catch (error) {
+      console.error('Tombstone save error:', error);
+    }
+  }
+
+  /**
+   * Tombstones for a collection by record id
+   * @param {boolean} [includeRemote] - also fetch the ones other devices left
+   *   on the remote layer (copied locally for later reads)
+   */
+  async getTombstones(collection, includeRemote = false) {
+    const tombstones = new Map();
+    (await this.store.getAll('tombstones'))
+      .filter(tombstone => tombstone.collection === collection)
+      .forEach(tombstone => tombstones.set(tombstone.id, tombstone));
+
+    if (includeRemote && this.canReachRemote()) {
+      const remoteTombstones = await this.getRemoteLayer().query('tombstones', 'collection', collection);
+      const newer = remoteTombstones.filter(tombstone => {
+        const local = tombstones.get(tombstone.id);
+        return !local || local.deletedAt < tombstone.deletedAt;
+      });
+      newer.forEach(tombstone => tombstones.set(tombstone.id, tombstone));
+      await this.saveTombstones(newer.map(t => this.tombstoneOp(t.collection, t.id, t.deletedAt)));
+    }
+
+    return tombstones;
+  }
+
+  async pruneTombstones() {
+    try {
+      const cutoff = Date.now() - TOMBSTONE_RETENTION;
+      const expired = (await this.store.getAll('tombstones')).filter(tombstone => tombstone.deletedAt < cutoff);
+      for (const tombstone of expired) {
+        await this.store.delete('tombstones', tombstone.key);
+      }
+    } catch (error) {
+      console.error('Tombstone prune error:', error);
+    }
+  }
+  /**
+   * History
+   * Every save of a group, team or player appends
+   * { historyId, collection, recordId, recordKey, timestamp, author, created, changes }
+   * to the history store and the remote layer. `changes` lists the fields the
+   * save changed as [{ field, from, to }], nested fields as 'stats.face'.
+   */
+
+  /**
+   * Name of the member making edits on this device
+   */
+  getHistoryAuthor() {
+    const memberName = typeof localStorage !== 'undefined' ? storage.get('memberName', null) : null;
+    return memberName || 'Anonymous';
+  }
+
+  /**
+   * Fields that differ between two versions of a record
+   */
+  diffRecords(previous, record, prefix = '') {
+    const before = previous || {};
+    const after = record || {};
+    const changes = [];
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!prefix && MERGE_IGNORED_FIELDS.includes(key)) continue;
+
+      const field = prefix + key;
+      const from = before[key];
+      const to = after[key];
+
+      if (conflictResolver.isPlainObject(from) && conflictResolver.isPlainObject(to)) {
+        changes.push(...this.diffRecords(from, to, `${field}.`));
+      } else if (!conflictResolver.isEqual(from, to)) {
+        changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Append a history entry for each save that changed something
+   * Best effort, like tombstones - it never fails the save
+   * @param {Array<{collection, id, previous, record}>} saves
+   */
+  async recordHistory(saves) {
+    const author = this.getHistoryAuthor();
+    const ops = saves
+      .filter(({ collection }) => COLLECTION_KEYS[collection])
+      .map(({ collection, id, previous, record }) => ({
+        historyId: generateId('history'),
+        collection,
+        recordId: id,
+        recordKey: this.getRecordKey(collection, id),
+        timestamp: record.updatedAt,
+        author,
+        created: !previous,
+        changes: this.diffRecords(previous, record)
+      }))
+      .filter(entry => entry.changes.length > 0)
+      .map(entry => ({ type: 'save', collection: 'history', id: entry.historyId, data: entry }));
+
+    if (ops.length === 0) return;
+
+    try {
+      await this.applyBatch(this.store, ops);
+
+      const remote = this.getRemoteLayer();
+      if (remote && this.canReachRemote()) {
+        await this.applyBatch(remote, ops);
+      } else if (remote) {
+        for (const op of ops) {
+          await this.queueForSync('history', op.id, op.data, 'save');
         }
-        if (!db.objectStoreNames.contains('syncQueue')) {
-          const syncStore = db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
-          syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+    } catch (error) {
+      console.error('History save error:', error);
+    }
+  }
+
+  /**
+   * Get a record's history, oldest first, including entries other
+   * devices saved to the remote layer (copied locally for offline reads)
+   */
+  async getHistory(collection, id) {
+    try {
+      const recordKey = this.getRecordKey(collection, id);
+      const entries = new Map();
+      (await this.store.query('history', 'recordKey', recordKey))
+        .forEach(entry => entries.set(entry.historyId, entry));
+
+      if (this.canReachRemote()) {
+        const remoteEntries = await this.getRemoteLayer().query('history', 'recordKey', recordKey);
+        const missing = remoteEntries.filter(entry => !entries.has(entry.historyId));
+        missing.forEach(entry => entries.set(entry.historyId, entry));
+        if (missing.length > 0) {
+          await this.applyBatch(this.store, missing.map(entry => ({
+            type: 'save', collection: 'history', id: entry.historyId, data: entry
+          })));
         }
+      }
 
-        console.log('✅ IndexedDB stores created');
-      };
-    });
+      return [...entries.values()]
+        .map(entry => ({ ...entry, changes: entry.changes || [] }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error('❌ Get history error:', error);
+      return [];
+    }
+  }
+
+
+  /**
+   * Empty the cache layers (records stay in the complete layers)
+   * Returns how many records were evicted
+   */
+  clearCache() {
+    return this.getLocalLayers()
+      .filter(layer => layer.cache && layer.evict)
+      .reduce((total, layer) => total + layer.evict(), 0);
   }
 
   /**
@@ -90,6 +393,7 @@ class DBManager {
   async handleOnline() {
     this.isOnline = true;
     console.log('🌐 Back online - syncing data...');
+    this.notifySyncStatus();
     await this.syncPendingChanges();
   }
 
@@ -99,10 +403,11 @@ class DBManager {
   handleOffline() {
     this.isOnline = false;
     console.log('📴 Offline mode activated');
+    this.notifySyncStatus();
   }
 
   /**
-   * WRITE operations - Save to all three layers
+   * WRITE operations - Save to every layer
    */
 
   /**
@@ -110,21 +415,31 @@ class DBManager {
    */
   async save(collection, id, data) {
     const timestamp = Date.now();
-    const dataWithTimestamp = { ...data, updatedAt: timestamp };
+    const dataWithTimestamp = {
+      ...data,
+      schemaVersion: migrationManager.getCurrentVersion(),
+      updatedAt: timestamp
+    };
 
     try {
-      // Layer 3: localStorage (fastest, most reliable)
-      this.saveToLocalStorage(collection, id, dataWithTimestamp);
+      const remote = this.getRemoteLayer();
+      const queueing = await this.mustQueue([{ collection, id }]);
+      // Version this edit starts from (conflict base on replay, and for subscribers)
+      const previous = await this.getLocalRecord(collection, id);
 
-      // Layer 2: IndexedDB (offline support)
-      await this.saveToIndexedDB(collection, id, dataWithTimestamp);
+      // Local layers, fastest first
+      await this.putLocal(collection, id, dataWithTimestamp);
+      await this.recordHistory([{ collection, id, previous, record: dataWithTimestamp }]);
 
-      // Layer 1: Firebase (cloud sync)
-      if (this.isOnline && isFirebaseAvailable()) {
-        await this.saveToFirebase(collection, id, dataWithTimestamp);
-      } else {
+      this.emitChange({ collection, id, type: 'save', record: dataWithTimestamp, previous, source: 'local' });
+
+      // Remote layer (cloud sync)
+      if (remote && !queueing) {
+        await remote.put(collection, id, dataWithTimestamp);
+      } else if (remote) {
         // Queue for later sync
-        await this.queueForSync(collection, id, dataWithTimestamp, 'save');
+        await this.queueForSync(collection, id, dataWithTimestamp, 'save', previous);
+        this.syncIfReachable();
       }
 
       return true;
@@ -139,17 +454,20 @@ class DBManager {
    */
   async delete(collection, id) {
     try {
-      // Layer 3: localStorage
-      this.deleteFromLocalStorage(collection, id);
+      const remote = this.getRemoteLayer();
+      const queueing = await this.mustQueue([{ collection, id }]);
+      const previous = await this.getLocalRecord(collection, id);
+      const deletedAt = Date.now();
 
-      // Layer 2: IndexedDB
-      await this.deleteFromIndexedDB(collection, id);
+      await this.deleteLocal(collection, id, deletedAt);
 
-      // Layer 1: Firebase
-      if (this.isOnline && isFirebaseAvailable()) {
-        await this.deleteFromFirebase(collection, id);
-      } else {
-        await this.queueForSync(collection, id, null, 'delete');
+      this.emitChange({ collection, id, type: 'delete', record: null, previous, source: 'local' });
+
+      if (remote && !queueing) {
+        await this.deleteRemote(collection, id, deletedAt);
+      } else if (remote) {
+        await this.queueForSync(collection, id, null, 'delete', previous);
+        this.syncIfReachable();
       }
 
       return true;
@@ -160,353 +478,1460 @@ class DBManager {
   }
 
   /**
-   * READ operations - Read from fastest available layer
+   * Apply a batch of saves and deletes atomically
+   * @param {Array<{type: 'save'|'delete', collection: string, id: string, data?: Object}>} ops
+   *
+   * Each layer gets the whole batch at once (one IndexedDB transaction, one
+   * Firebase multi-path update()), so it takes all of the batch or none of it.
+   * If a later layer fails, the layers already written are rolled back.
    */
+  async transaction(ops) {
+    const timestamp = Date.now();
+    const batch = ops.map(op => ({
+      ...op,
+      data: op.type === 'save'
+        ? { ...op.data, schemaVersion: migrationManager.getCurrentVersion(), updatedAt: timestamp }
+        : null
+    }));
+
+    // Per-layer snapshots for rollback (and as the sync base when queueing)
+    const localLayers = this.getLocalLayers();
+    const snapshots = [];
+    for (const layer of localLayers) {
+      const records = [];
+      for (const op of batch) {
+        records.push(await layer.get(op.collection, op.id));
+      }
+      snapshots.push(records);
+    }
+    const previous = batch.map((op, i) => snapshots.map(records => records[i]).find(Boolean) || null);
+    const tombstones = batch
+      .filter(op => op.type === 'delete')
+      .map(op => this.tombstoneOp(op.collection, op.id, timestamp));
+
+    let attempted = 0;
 
-  /**
-   * Get single item (tries all layers)
-   */
-  async get(collection, id) {
     try {
-      // Try Layer 3: localStorage (fastest)
-      let data = this.getFromLocalStorage(collection, id);
-      if (data) return data;
-
-      // Try Layer 2: IndexedDB
-      data = await this.getFromIndexedDB(collection, id);
-      if (data) {
-        // Sync back to localStorage
-        this.saveToLocalStorage(collection, id, data);
-        return data;
+      // Local layers, fastest first
+      for (const layer of localLayers) {
+        attempted++;
+        await this.applyBatch(layer, batch);
       }
 
-      // Try Layer 1: Firebase (if online)
-      if (this.isOnline && isFirebaseAvailable()) {
-        data = await this.getFromFirebase(collection, id);
-        if (data) {
-          // Sync to other layers
-          this.saveToLocalStorage(collection, id, data);
-          await this.saveToIndexedDB(collection, id, data);
-          return data;
+      // Remote layer
+      const remote = this.getRemoteLayer();
+      if (remote && !(await this.mustQueue(batch))) {
+        await this.applyBatch(remote, [...batch, ...tombstones]);
+      } else if (remote) {
+        for (const [i, op] of batch.entries()) {
+          await this.queueForSync(op.collection, op.id, op.data, op.type, previous[i]);
         }
+        this.syncIfReachable();
       }
 
-      return null;
-    } catch (error) {
-      console.error('❌ Get error:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Get all items from collection
-   */
-  async getAll(collection) {
-    try {
-      // Try Layer 3: localStorage (fastest)
-      let data = this.getAllFromLocalStorage(collection);
-      if (data && data.length > 0) return data;
-
-      // Try Layer 2: IndexedDB
-      data = await this.getAllFromIndexedDB(collection);
-      if (data && data.length > 0) {
-        // Sync back to localStorage
-        data.forEach(item => {
-          const id = item[`${collection.slice(0, -1)}Id`];
-          this.saveToLocalStorage(collection, id, item);
+      await this.saveTombstones(tombstones);
+      await this.recordHistory(batch
+        .map((op, i) => ({ collection: op.collection, id: op.id, previous: previous[i], record: op.data }))
+        .filter((save, i) => batch[i].type === 'save'));
+
+      batch.forEach((op, i) => {
+        this.emitChange({
+          collection: op.collection,
+          id: op.id,
+          type: op.type,
+          record: op.data,
+          previous: previous[i],
+          source: 'local'
         });
-        return data;
-      }
+      });
 
-      // Try Layer 1: Firebase (if online)
-      if (this.isOnline && isFirebaseAvailable()) {
-        data = await this.getAllFromFirebase(collection);
-        if (data && data.length > 0) {
-          // Sync to other layers
-          data.forEach(async (item) => {
-            const id = item[`${collection.slice(0, -1)}Id`];
-            this.saveToLocalStorage(collection, id, item);
-            await this.saveToIndexedDB(collection, id, item);
-          });
-          return data;
+      return true;
+    } catch (error) {
+      console.error('❌ Transaction error, rolling back:', error);
+
+      for (const [layerIndex, layer] of localLayers.slice(0, attempted).entries()) {
+        try {
+          await this.applyBatch(layer, batch.map((op, i) => ({
+            type: snapshots[layerIndex][i] ? 'save' : 'delete',
+            collection: op.collection,
+            id: op.id,
+            data: snapshots[layerIndex][i]
+          })));
+        } catch (rollbackError) {
+          console.error(`❌ ${layer.name} rollback error:`, rollbackError);
         }
       }
 
-      return [];
-    } catch (error) {
-      console.error('❌ GetAll error:', error);
-      return [];
+      throw error;
     }
   }
 
   /**
-   * Layer 3: localStorage operations
+   * READ operations - Read from fastest available layer
    */
 
-  saveToLocalStorage(collection, id, data) {
-    try {
-      const key = `${collection}_${id}`;
-      localStorage.setItem(key, JSON.stringify(data));
-      
-      // Update collection index
-      const indexKey = `${collection}_index`;
-      let index = safeJSONParse(localStorage.getItem(indexKey), []);
-      if (!index.includes(id)) {
-        index.push(id);
-        localStorage.setItem(indexKey, JSON.stringify(index));
-      }
-    } catch (e) {
-      console.error('localStorage save error:', e);
-    }
-  }
-
-  getFromLocalStorage(collection, id) {
-    try {
-      const key = `${collection}_${id}`;
-      const data = localStorage.getItem(key);
-      return safeJSONParse(data);
-    } catch (e) {
-      console.error('localStorage get error:', e);
-      return null;
-    }
-  }
-
-  getAllFromLocalStorage(collection) {
-    try {
-      const indexKey = `${collection}_index`;
-      const index = safeJSONParse(localStorage.getItem(indexKey), []);
-      return index.map(id => this.getFromLocalStorage(collection, id)).filter(Boolean);
-    } catch (e) {
-      console.error('localStorage getAll error:', e);
-      return [];
-    }
-  }
-
-  deleteFromLocalStorage(collection, id) {
-    try {
-      const key = `${collection}_${id}`;
-      localStorage.removeItem(key);
-      
-      // Update collection index
-      const indexKey = `${collection}_index`;
-      let index = safeJSONParse(localStorage.getItem(indexKey), []);
-      index = index.filter(itemId => itemId !== id);
-      localStorage.setItem(indexKey, JSON.stringify(index));
-    } catch (e) {
-      console.error('localStorage delete error:', e);
+  /**
+   * Get record from the local layers only (no remote round trip)
+   */
+  async getLocalRecord(collection, id) {
+    for (const layer of this.getLocalLayers()) {
+      const record = await layer.get(collection, id);
+      if (record) return record;
     }
+    return null;
   }
 
   /**
-   * Layer 2: IndexedDB operations
+   * Read from every reachable layer and reconcile the results
+   * The newest version of each record (by updatedAt) wins, and records
+   * deleted after their last edit are dropped. Local layers missing a record
+   * or holding an older version are brought up to date - a cache only has
+   * the records it already holds refreshed. The remote layer is only read
+   * when the local copy may be out of date (see shouldReadRemote).
+   * @param {Function} read - (layer) => Promise<Array> of records
+   * @param {Object} [options]
+   * @param {Function} [options.matches] - for filtered reads, the filter the
+   *   read applied (checked again against the winning version)
+   * @param {string} [options.readKey] - identifies the read for freshness
+   *   (defaults to the collection)
+   * @param {boolean} [options.watched] - the watched group's listeners keep
+   *   these records up to date
    */
+  async readMerged(collection, read, { matches = null, readKey = collection, watched = false } = {}) {
+    const idKey = COLLECTION_KEYS[collection];
+    const includeRemote = await this.shouldReadRemote(readKey, watched);
+    const layers = this.layers.filter(layer => this.isLayerReachable(layer) && (!layer.remote || includeRemote));
+    const held = [];
+
+    for (const layer of layers) {
+      const records = await this.readLayerRecords(layer, collection, await read(layer));
+      held.push(new Map(records.map(record => [record[idKey], record])));
+    }
 
-  saveToIndexedDB(collection, id, data) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        resolve();
-        return;
+    // Complete layers first, so results keep their order
+    const ids = new Set();
+    layers.forEach((layer, i) => {
+      if (!layer.cache) held[i].forEach((record, id) => ids.add(id));
+    });
+    held.forEach(records => records.forEach((record, id) => ids.add(id)));
+
+    // A filtered read only returns matching records - a layer that didn't
+    // return one may still hold an edit that moved it out of the filter
+    if (matches) {
+      for (const [i, layer] of layers.entries()) {
+        if (layer.cache) continue;
+        for (const id of ids) {
+          if (held[i].has(id)) continue;
+          const record = await layer.get(collection, id);
+          if (record) {
+            const [upgraded] = await this.readLayerRecords(layer, collection, [record]);
+            held[i].set(id, upgraded);
+          }
+        }
       }
+    }
 
-      try {
-        const transaction = this.db.transaction([collection], 'readwrite');
-        const store = transaction.objectStore(collection);
-        const request = store.put(data);
+    const tombstones = await this.getTombstones(collection, includeRemote);
+    if (includeRemote) await this.markRemoteRead(readKey);
+    const merged = [];
+
+    for (const id of ids) {
+      const versions = held.map(records => records.get(id) || null);
+      const newest = this.newestVersion(versions);
 
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      } catch (e) {
-        console.error('IndexedDB save error:', e);
-        resolve(); // Don't fail the entire operation
+      if (this.isTombstoned(tombstones.get(id), newest)) {
+        // Clear local copies, slowest layer first (see deleteLocal) - the
+        // remote copy goes when the queued delete is replayed
+        for (const [i, layer] of [...layers.entries()].reverse()) {
+          if (!layer.remote && versions[i]) await layer.delete(collection, id);
+        }
+        continue;
       }
-    });
-  }
 
-  getFromIndexedDB(collection, id) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        resolve(null);
-        return;
+      for (const [i, layer] of layers.entries()) {
+        if (layer.remote) continue;
+        const stale = versions[i]
+          ? (versions[i].updatedAt || 0) < (newest.updatedAt || 0)
+          : !layer.cache;
+        if (stale) await layer.put(collection, id, newest);
       }
 
-      try {
-        const transaction = this.db.transaction([collection], 'readonly');
-        const store = transaction.objectStore(collection);
-        const request = store.get(id);
+      if (!matches || matches(newest)) merged.push(newest);
+    }
 
-        request.onsuccess = () => resolve(request.result || null);
-        request.onerror = () => reject(request.error);
-      } catch (e) {
-        console.error('IndexedDB get error:', e);
-        resolve(null);
-      }
-    });
+    return merged;
   }
 
-  getAllFromIndexedDB(collection) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        resolve([]);
-        return;
-      }
+  /**
+   * Check if a list read needs the remote layer
+   * Not when it was read from the remote recently, or, for the watched
+   * group, since the current watch started (the listeners pull every change
+   * after that, deletions included). Always when no complete local layer is
+   * available - a cache may hold only some of the records.
+   */
+  async shouldReadRemote(readKey, watched = false) {
+    if (!this.canReachRemote()) return false;
+    if (!this.getLocalLayers().some(layer => !layer.cache && this.isLayerAvailable(layer))) return true;
+
+    const readAt = (await this.getRemoteReads())[readKey];
+    if (!readAt) return true;
+    if (watched && this.watchedGroup && readAt >= this.watchedGroup.startedAt) return false;
+    return Date.now() - readAt >= REMOTE_READ_TTL;
+  }
 
-      try {
-        const transaction = this.db.transaction([collection], 'readonly');
-        const store = transaction.objectStore(collection);
-        const request = store.getAll();
+  async getRemoteReads() {
+    if (!this.remoteReads) {
+      const entry = this.isLayerAvailable(this.store) ? await this.store.get('meta', REMOTE_READS_KEY) : null;
+      this.remoteReads = (entry && entry.reads) || {};
+    }
+    return this.remoteReads;
+  }
 
-        request.onsuccess = () => resolve(request.result || []);
-        request.onerror = () => reject(request.error);
-      } catch (e) {
-        console.error('IndexedDB getAll error:', e);
-        resolve([]);
-      }
-    });
+  /**
+   * Best effort - without the mark the next read just goes remote again
+   */
+  async markRemoteRead(readKey) {
+    const reads = await this.getRemoteReads();
+    reads[readKey] = Date.now();
+    try {
+      await this.store.put('meta', REMOTE_READS_KEY, { key: REMOTE_READS_KEY, reads });
+    } catch (error) {
+      console.error('Remote read mark error:', error);
+    }
   }
 
-  deleteFromIndexedDB(collection, id) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        resolve();
-        return;
-      }
+  /**
+   * Check if an indexed read is covered by the watched group's listeners
+   */
+  isWatchedRead(collection, field, value) {
+    const watch = this.watchedGroup;
+    if (!watch) return false;
+    if (collection === 'teams') return field === 'groupId' && value === watch.groupId;
+    if (collection === 'players') return field === 'teamId' && !!watch.teamPlayers[value];
+    return false;
+  }
 
-      try {
-        const transaction = this.db.transaction([collection], 'readwrite');
-        const store = transaction.objectStore(collection);
-        const request = store.delete(id);
+  /**
+   * The most recently edited of a record's versions (null where a layer lacks it)
+   */
+  newestVersion(versions) {
+    return versions.reduce((winner, record) => {
+      if (!record) return winner;
+      return !winner || (record.updatedAt || 0) > (winner.updatedAt || 0) ? record : winner;
+    }, null);
+  }
 
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      } catch (e) {
-        console.error('IndexedDB delete error:', e);
-        resolve();
-      }
-    });
+  /**
+   * Bring records read from a layer up to the current schema
+   * (every layer gets the upgraded records written back)
+   */
+  async readLayerRecords(layer, collection, records) {
+    if (!records || records.length === 0) return [];
+    return layer.remote
+      ? this.upgradeRemoteRecords(collection, records)
+      : this.upgradeRecords(collection, records);
   }
 
   /**
-   * Layer 1: Firebase operations
+   * Get single item - read from each layer in order until one has it,
+   * then copy it into the faster layers that missed it
    */
+  async get(collection, id) {
+    try {
+      const tombstone = await this.store.get('tombstones', this.getRecordKey(collection, id));
 
-  async saveToFirebase(collection, id, data) {
-    if (!isFirebaseAvailable()) return;
+      for (const [i, layer] of this.layers.entries()) {
+        if (!this.isLayerReachable(layer)) continue;
 
-    try {
-      const db = getDatabase();
-      const ref = db.ref(`${collection}/${id}`);
-      await ref.set(data);
-    } catch (error) {
-      console.error('Firebase save error:', error);
-      throw error;
-    }
-  }
+        const record = await layer.get(collection, id);
+        if (!record) continue;
 
-  async getFromFirebase(collection, id) {
-    if (!isFirebaseAvailable()) return null;
+        const [data] = await this.readLayerRecords(layer, collection, [record]);
 
-    try {
-      const db = getDatabase();
-      const ref = db.ref(`${collection}/${id}`);
-      const snapshot = await ref.once('value');
-      return snapshot.val();
+        // A copy left behind by a deletion - a later layer may have a newer edit
+        if (this.isTombstoned(tombstone, data)) continue;
+
+        for (const faster of this.layers.slice(0, i)) {
+          if (faster.remote || !this.isLayerAvailable(faster)) continue;
+          await faster.put(collection, id, data);
+        }
+        return data;
+      }
+      return null;
     } catch (error) {
-      console.error('Firebase get error:', error);
+      console.error('❌ Get error:', error);
       return null;
     }
   }
 
-  async getAllFromFirebase(collection) {
-    if (!isFirebaseAvailable()) return [];
-
+  /**
+   * Get all items from collection (merged across layers)
+   */
+  async getAll(collection) {
     try {
-      const db = getDatabase();
-      const ref = db.ref(collection);
-      const snapshot = await ref.once('value');
-      const data = snapshot.val();
-      
-      if (!data) return [];
-      
-      return Object.values(data);
+      return await this.readMerged(collection, layer => layer.getAll(collection));
     } catch (error) {
-      console.error('Firebase getAll error:', error);
+      console.error('❌ GetAll error:', error);
       return [];
     }
   }
 
-  async deleteFromFirebase(collection, id) {
-    if (!isFirebaseAvailable()) return;
+  /**
+   * Schema migrations
+   */
 
-    try {
-      const db = getDatabase();
-      const ref = db.ref(`${collection}/${id}`);
-      await ref.remove();
-    } catch (error) {
-      console.error('Firebase delete error:', error);
-      throw error;
+  /**
+   * Upgrade a record read from a local layer and write the result back
+   * (updatedAt is left alone - a migration is not an edit)
+   */
+  async upgradeRecord(collection, id, record) {
+    const migrated = migrationManager.migrateRecord(collection, record);
+    if (migrated !== record) {
+      await this.putLocal(collection, id, migrated);
     }
+    return migrated;
+  }
+
+  async upgradeRecords(collection, records) {
+    const idKey = COLLECTION_KEYS[collection];
+    const upgraded = [];
+    for (const record of records) {
+      upgraded.push(await this.upgradeRecord(collection, record[idKey], record));
+    }
+    return upgraded;
   }
 
   /**
-   * Sync queue operations
+   * Upgrade records read from the remote layer, writing each one back
+   * unless the remote copy changed since it was read (updatedAt is left
+   * alone here too). Best effort - a record that isn't written back is just
+   * upgraded again on its next read
    */
+  async upgradeRemoteRecords(collection, records) {
+    const remote = this.getRemoteLayer();
+    const idKey = COLLECTION_KEYS[collection];
+    const upgraded = [];
+
+    for (const record of records) {
+      const migrated = migrationManager.migrateRecord(collection, record);
+      if (migrated !== record && this.canReachRemote()) {
+        try {
+          const current = await remote.get(collection, record[idKey]);
+          if (current && migrationManager.needsMigration(current) && current.updatedAt === record.updatedAt) {
+            await remote.put(collection, record[idKey], migrated);
+          }
+        } catch (error) {
+          console.error('Remote upgrade error:', error);
+        }
+      }
+      upgraded.push(migrated);
+    }
+    return upgraded;
+  }
+
+  /**
+   * Migrate every local layer that is behind the current schema version
+   * The remote layer is shared by every member's client, so instead of a
+   * whole-database rewrite its records are upgraded one by one as they are
+   * read (see upgradeRemoteRecords)
+   */
+  async runMigrations() {
+    const target = migrationManager.getCurrentVersion();
+
+    for (const layer of this.getLocalLayers()) {
+      try {
+        if (!this.isLayerAvailable(layer)) continue;
+        if (await this.getLayerSchemaVersion(layer) < target) {
+          await this.migrateLayer(layer);
+        }
+      } catch (error) {
+        // Records are still upgraded individually as they are read
+        console.error(`❌ ${layer.name} migration error:`, error);
+      }
+    }
+  }
+
+  async migrateLayer(layer) {
+    const target = migrationManager.getCurrentVersion();
+    const ops = [];
+
+    for (const collection of Object.keys(COLLECTION_KEYS)) {
+      const records = await layer.getAll(collection);
+      records.forEach(record => {
+        const migrated = migrationManager.migrateRecord(collection, record);
+        if (migrated !== record) {
+          ops.push({ type: 'save', collection, id: migrated[COLLECTION_KEYS[collection]], data: migrated });
+        }
+      });
+    }
 
-  async queueForSync(collection, id, data, operation) {
-    if (!this.db) return;
+    // Same batch as the records, so the version is never ahead of the data
+    ops.push({
+      type: 'save',
+      collection: 'meta',
+      id: SCHEMA_VERSION_KEY,
+      data: { key: SCHEMA_VERSION_KEY, value: target }
+    });
+
+    await this.applyBatch(layer, ops);
+    console.log(`🔧 ${layer.name} migrated to schema v${target} (${ops.length - 1} records)`);
+  }
+
+  async getLayerSchemaVersion(layer) {
+    const entry = await layer.get('meta', SCHEMA_VERSION_KEY);
+    // Firebase stored a bare number before layers were adapters
+    if (typeof entry === 'number') return entry;
+    return (entry && entry.value) || 1;
+  }
+
+  /**
+   * Get the schema version each local layer is at (null if unavailable)
+   */
+  async getSchemaVersions() {
+    const versions = { current: migrationManager.getCurrentVersion() };
+    for (const layer of this.getLocalLayers()) {
+      versions[layer.name] = this.isLayerAvailable(layer) ? await this.getLayerSchemaVersion(layer) : null;
+    }
+    return versions;
+  }
+
+  /**
+   * Sync queue operations
+   */
+
+  /**
+   * Queue items are keyed by `collection/id`, so repeated writes to the
+   * same record collapse into one pending operation
+   */
+  getSyncKey(collection, id) {
+    return `${collection}/${id}`;
+  }
+
+  /**
+   * Check if writes to these records have to wait in the sync queue
+   * A record with a queued write keeps going through the queue while
+   * online - written straight to the remote, the new version would be
+   * overwritten when the older queued write is replayed
+   * @param {Array<{collection: string, id: string}>} records
+   */
+  async mustQueue(records) {
+    if (!this.canReachRemote()) return true;
+    if (!this.isLayerAvailable(this.store)) return false;
+
+    for (const { collection, id } of records) {
+      if (await this.store.get('syncQueue', this.getSyncKey(collection, id))) return true;
+    }
+    return false;
+  }
+
+  syncIfReachable() {
+    if (this.canReachRemote()) this.syncPendingChanges();
+  }
+
+  async queueForSync(collection, id, data, operation, previous = null) {
+    if (!this.isLayerAvailable(this.store)) return;
 
     try {
-      const transaction = this.db.transaction(['syncQueue'], 'readwrite');
-      const store = transaction.objectStore('syncQueue');
-      
+      const key = this.getSyncKey(collection, id);
+      const existing = await this.store.get('syncQueue', key);
+
+      // Created and deleted while offline - nothing to tell the cloud
+      if (existing && operation === 'delete' && existing.operation === 'save' && existing.baseUpdatedAt === null) {
+        await this.store.delete('syncQueue', key);
+        console.log('📝 Dropped from sync queue:', collection, id);
+        this.notifySyncStatus();
+        return;
+      }
+
+      // A record edited several times offline keeps the base of its first edit
+      const base = existing
+        ? { baseUpdatedAt: existing.baseUpdatedAt, baseData: existing.baseData }
+        : { baseUpdatedAt: previous ? previous.updatedAt : null, baseData: previous };
+
       const syncItem = {
+        id: key,
         collection,
-        id,
+        recordId: id,
         data,
         operation,
+        ...base,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
         timestamp: Date.now()
       };
       
-      await store.add(syncItem);
-      console.log('📝 Queued for sync:', operation, collection, id);
+      await this.store.put('syncQueue', key, syncItem);
+      console.log(existing ? '📝 Coalesced in sync queue:' : '📝 Queued for sync:', operation, collection, id);
+      this.notifySyncStatus();
     } catch (e) {
       console.error('Queue sync error:', e);
     }
   }
 
-  async syncPendingChanges() {
-    if (!this.db || !isFirebaseAvailable()) return;
+  /**
+   * Replay queued writes that are due
+   * Concurrent calls share the same run; a tab that isn't the leader asks
+   * the leader to sync instead
+   */
+  syncPendingChanges() {
+    if (this.coordinator && !this.coordinator.isLeader()) {
+      this.coordinator.post({ type: 'sync-request' });
+      return Promise.resolve();
+    }
+
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    const remote = this.getRemoteLayer();
+    if (!remote || !this.isLayerAvailable(remote) || !this.isLayerAvailable(this.store)) return;
 
     try {
-      const transaction = this.db.transaction(['syncQueue'], 'readwrite');
-      const store = transaction.objectStore('syncQueue');
-      const request = store.getAll();
-
-      request.onsuccess = async () => {
-        const items = request.result;
-        
-        for (const item of items) {
-          try {
-            if (item.operation === 'save') {
-              await this.saveToFirebase(item.collection, item.id, item.data);
-            } else if (item.operation === 'delete') {
-              await this.deleteFromFirebase(item.collection, item.id);
-            }
-            
-            // Remove from queue
-            store.delete(item.id);
-            console.log('✅ Synced:', item.operation, item.collection, item.id);
-          } catch (error) {
-            console.error('Sync item error:', error);
+      const now = Date.now();
+      const items = (await this.getSyncQueueItems()).filter(item => (item.nextAttemptAt || 0) <= now);
+      if (items.length === 0) {
+        this.scheduleSyncRetry();
+        return;
+      }
+
+      let synced = 0;
+      let failed = 0;
+      let conflicts = 0;
+
+      for (const item of items) {
+        // Leadership can move mid-run (e.g. to a tab woken from the background)
+        if (this.coordinator && !this.coordinator.isLeader()) break;
+
+        try {
+          // Upgraded, so a merge compares values on the same scale
+          const remoteRecord = migrationManager.migrateRecord(item.collection, await remote.get(item.collection, item.recordId));
+
+          if (conflictResolver.isConflict(item, remoteRecord)) {
+            await this.resolveSyncConflict(item, remoteRecord);
+            conflicts++;
+          } else {
+            await this.pushQueuedItem(item);
           }
+          
+          // Remove from queue
+          await this.settleQueuedItem(item);
+          synced++;
+          console.log('✅ Synced:', item.operation, item.collection, item.recordId);
+        } catch (error) {
+          failed++;
+          console.error('Sync item error:', error);
+          await this.recordSyncFailure(item, error);
         }
-        
-        showToast('Data synced successfully', 'success');
-      };
+      }
+
+      this.syncState.lastSyncAt = Date.now();
+      
+      if (conflicts > 0 && conflictResolver.getStrategy() === CONFLICT_STRATEGIES.ASK) {
+        this.notifyUser(`${conflicts} ${conflicts === 1 ? 'change conflicts' : 'changes conflict'} with other members - please review`, 'warning');
+        if (typeof window !== 'undefined') {
+          window.dispatchEvent(new CustomEvent('hoopin:conflicts', { detail: { count: conflicts } }));
+        }
+      } else if (failed > 0) {
+        this.notifyUser(`${failed} of ${items.length} ${items.length === 1 ? 'change' : 'changes'} failed to sync - will retry`, 'error');
+      } else if (conflicts > 0) {
+        this.notifyUser(`Synced - merged ${conflicts} ${conflicts === 1 ? 'change' : 'changes'} from other members`, 'warning');
+      } else if (synced > 0) {
+        this.notifyUser('Data synced successfully', 'success');
+      }
+
+      this.scheduleSyncRetry();
+      this.notifySyncStatus();
     } catch (e) {
       console.error('Sync pending changes error:', e);
     }
   }
 
+  /**
+   * Check if a queue entry still holds the write that was read for replay
+   * (the record may have been edited again while it was being pushed)
+   */
+  isSameQueuedWrite(item, entry) {
+    return !!entry &&
+      entry.timestamp === item.timestamp &&
+      entry.operation === item.operation &&
+      JSON.stringify(entry.data) === JSON.stringify(item.data);
+  }
+
+  /**
+   * Remove a replayed item from the queue
+   * An edit coalesced into its entry during the push stays queued, based on
+   * the version now on the remote so it isn't taken for a conflict
+   */
+  async settleQueuedItem(item) {
+    const entry = await this.store.get('syncQueue', item.id);
+    if (!entry) {
+      // Deleted while its creation was being pushed - queueForSync dropped
+      // the pair thinking the remote never got the record
+      const tombstone = await this.store.get('tombstones', this.getRecordKey(item.collection, item.recordId));
+      if (item.operation === 'save' && this.isTombstoned(tombstone, item.data)) {
+        await this.deleteRemote(item.collection, item.recordId, tombstone.deletedAt);
+      }
+      return;
+    }
+
+    if (this.isSameQueuedWrite(item, entry)) {
+      await this.store.delete('syncQueue', item.id);
+      return;
+    }
+
+    const current = await this.getRemoteLayer().get(item.collection, item.recordId);
+    await this.store.put('syncQueue', item.id, {
+      ...entry,
+      baseUpdatedAt: current ? current.updatedAt : null,
+      baseData: current || null
+    });
+    console.log('📝 Kept newer edit in sync queue:', item.collection, item.recordId);
+  }
+
+  /**
+   * Toast in the browser (headless runs only log)
+   */
+  notifyUser(message, type) {
+    if (typeof document === 'undefined') {
+      console.log(`ℹ️ ${message}`);
+      return;
+    }
+    showToast(message, type);
+  }
+
+  /**
+   * Get queued items, upgrading entries queued before coalescing existed
+   */
+  async getSyncQueueItems() {
+    const items = await this.store.getAll('syncQueue');
+    const upgraded = [];
+
+    for (const item of items) {
+      if (item.recordId) {
+        upgraded.push(item);
+        continue;
+      }
+
+      // Old entries were keyed by the bare record id
+      const key = this.getSyncKey(item.collection, item.id);
+      const entry = { ...item, id: key, recordId: item.id, attempts: 0, nextAttemptAt: 0, lastError: null };
+      await this.store.put('syncQueue', key, entry);
+      await this.store.delete('syncQueue', item.id);
+      upgraded.push(entry);
+    }
+
+    return upgraded.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Back off a failed item, or dead-letter it after too many attempts
+   */
+  async recordSyncFailure(item, error) {
+    const attempts = (item.attempts || 0) + 1;
+    const lastError = error && error.message ? error.message : String(error);
+    this.syncState.lastError = { message: lastError, key: item.id, at: Date.now() };
+
+    // Edited again meanwhile - the newer write replaces the failed one and
+    // gets its own attempts
+    if (!this.isSameQueuedWrite(item, await this.store.get('syncQueue', item.id))) return;
+
+    if (attempts >= SYNC_RETRY.maxAttempts) {
+      await this.store.put('deadLetter', item.id, {
+        ...item,
+        attempts,
+        lastError,
+        failedAt: Date.now()
+      });
+      await this.store.delete('syncQueue', item.id);
+      console.error(`☠️ Gave up syncing ${item.id} after ${attempts} attempts`);
+      return;
+    }
+
+    const delay = Math.min(SYNC_RETRY.baseDelay * Math.pow(2, attempts - 1), SYNC_RETRY.maxDelay);
+    await this.store.put('syncQueue', item.id, {
+      ...item,
+      attempts,
+      lastError,
+      lastAttemptAt: Date.now(),
+      nextAttemptAt: Date.now() + delay
+    });
+  }
+
+  /**
+   * Wake up when the next backed-off item is due
+   */
+  async scheduleSyncRetry() {
+    clearTimeout(this.syncRetryTimer);
+    this.syncRetryTimer = null;
+
+    const items = await this.store.getAll('syncQueue');
+    const nextAt = items.reduce((min, item) => Math.min(min, item.nextAttemptAt || 0), Infinity);
+    if (nextAt === Infinity) return;
+
+    this.syncRetryTimer = setTimeout(() => {
+      if (this.isOnline) this.syncPendingChanges();
+    }, Math.max(0, nextAt - Date.now()));
+  }
+
+  /**
+   * Report sync queue state for status displays
+   * (the queue is shared between tabs; whether a sync is running, and how
+   * the last one went, come from the leader tab)
+   */
+  async getSyncStatus() {
+    const queued = await this.store.getAll('syncQueue');
+    const deadLetters = await this.store.getAll('deadLetter');
+    const retrying = queued.filter(item => item.attempts > 0);
+    const leader = this.coordinator && !this.coordinator.isLeader() ? this.leaderStatus : null;
+
+    return {
+      online: this.isOnline,
+      syncing: leader ? leader.syncing : !!this.syncing,
+      pending: queued.length,
+      retrying: retrying.length,
+      failed: deadLetters.length,
+      nextRetryAt: retrying.length > 0 ? Math.min(...retrying.map(item => item.nextAttemptAt)) : null,
+      lastSyncAt: leader ? leader.lastSyncAt : this.syncState.lastSyncAt,
+      lastError: leader ? leader.lastError : this.syncState.lastError,
+      leader: this.coordinator ? this.coordinator.isLeader() : true
+    };
+  }
+
+  /**
+   * Update status displays in this tab and the others
+   */
+  async notifySyncStatus() {
+    const status = await this.dispatchSyncStatus();
+    if (status && this.coordinator) {
+      this.coordinator.post({ type: 'syncstatus', status });
+    }
+  }
+
+  /**
+   * Update status displays in this tab only
+   */
+  async dispatchSyncStatus() {
+    if (typeof window === 'undefined') return null;
+    const status = await this.getSyncStatus();
+    window.dispatchEvent(new CustomEvent('hoopin:syncstatus', { detail: status }));
+    return status;
+  }
+
+  /**
+   * Dead-letter store
+   */
+
+  async getDeadLetters() {
+    const items = await this.store.getAll('deadLetter');
+    return items.sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  /**
+   * Put a dead-lettered item back in the queue for a fresh round of attempts
+   */
+  async retryDeadLetter(key) {
+    const item = await this.store.get('deadLetter', key);
+    if (!item) return { success: false, error: 'Item not found' };
+
+    const { failedAt, ...entry } = item;
+    await this.store.put('syncQueue', key, { ...entry, attempts: 0, nextAttemptAt: 0, lastError: null });
+    await this.store.delete('deadLetter', key);
+
+    if (this.isOnline) await this.syncPendingChanges();
+    return { success: true };
+  }
+
+  async discardDeadLetter(key) {
+    await this.store.delete('deadLetter', key);
+    this.notifySyncStatus();
+    return { success: true };
+  }
+
+  /**
+   * Conflict handling
+   */
+
+  /**
+   * Resolve a queued write whose record changed remotely since it was edited
+   */
+  async resolveSyncConflict(item, remote) {
+    const strategy = conflictResolver.getStrategy();
+    console.warn('⚠️ Sync conflict:', item.collection, item.recordId, `(${strategy})`);
+
+    if (strategy === CONFLICT_STRATEGIES.ASK) {
+      const conflictId = generateId('conflict');
+      await this.store.put('conflicts', conflictId, {
+        conflictId,
+        collection: item.collection,
+        recordId: item.recordId,
+        operation: item.operation,
+        local: item.data,
+        remote,
+        base: item.baseData || null,
+        detectedAt: Date.now()
+      });
+      return;
+    }
+
+    if (strategy === CONFLICT_STRATEGIES.LAST_WRITE_WINS) {
+      if (conflictResolver.lastWriteWins(item, remote) === 'local') {
+        await this.pushQueuedItem(item);
+      } else {
+        await this.applyRemoteLocally(item.collection, item.recordId, remote);
+      }
+      return;
+    }
+
+    // Merge - a delete can't be merged, so the remote edit is kept
+    if (item.operation === 'delete') {
+      await this.applyRemoteLocally(item.collection, item.recordId, remote);
+      return;
+    }
+
+    const merged = conflictResolver.mergeFields(item.baseData, item.data, remote, await this.getRatingSchema(item.data));
+    await this.writeResolved(item.collection, item.recordId, merged);
+  }
+
+  async pushQueuedItem(item) {
+    const remote = this.getRemoteLayer();
+    if (item.operation === 'delete') {
+      await this.deleteRemote(item.collection, item.recordId, item.timestamp);
+    } else {
+      await remote.put(item.collection, item.recordId, item.data);
+    }
+  }
+
+  async applyRemoteLocally(collection, id, remote) {
+    const previous = await this.getLocalRecord(collection, id);
+    const record = migrationManager.migrateRecord(collection, remote);
+    await this.putLocal(collection, id, record);
+    this.emitChange({ collection, id, type: 'save', record, previous, source: 'remote' });
+  }
+
+  /**
+   * Write a resolved version to every layer as a new edit
+   */
+  async writeResolved(collection, id, record) {
+    const resolved = {
+      ...record,
+      schemaVersion: migrationManager.getCurrentVersion(),
+      updatedAt: Date.now()
+    };
+    const previous = await this.getLocalRecord(collection, id);
+    await this.putLocal(collection, id, resolved);
+    await this.recordHistory([{ collection, id, previous, record: resolved }]);
+    this.emitChange({ collection, id, type: 'save', record: resolved, previous, source: 'local' });
+
+    const remote = this.getRemoteLayer();
+    if (remote) await remote.put(collection, id, resolved);
+    return resolved;
+  }
+
+  /**
+   * Get conflicts waiting for the user (strategy 'ask')
+   */
+  async getConflicts() {
+    const conflicts = await this.store.getAll('conflicts');
+    return conflicts.sort((a, b) => a.detectedAt - b.detectedAt);
+  }
+
+  /**
+   * Resolve a stored conflict
+   * @param {string} conflictId
+   * @param {'local'|'remote'|'merge'} choice
+   */
+  async resolveConflict(conflictId, choice) {
+    const conflict = await this.store.get('conflicts', conflictId);
+    if (!conflict) {
+      return { success: false, error: 'Conflict not found' };
+    }
+
+    try {
+      const { collection, recordId, operation, local, remote, base } = conflict;
+
+      if (choice === 'remote') {
+        await this.applyRemoteLocally(collection, recordId, remote);
+      } else if (choice === 'local' && operation === 'delete') {
+        const previous = await this.getLocalRecord(collection, recordId);
+        await this.deleteLocal(collection, recordId);
+        this.emitChange({ collection, id: recordId, type: 'delete', record: null, previous, source: 'local' });
+        if (this.getRemoteLayer()) await this.deleteRemote(collection, recordId);
+      } else if (choice === 'local') {
+        await this.writeResolved(collection, recordId, local);
+      } else if (choice === 'merge' && operation === 'save') {
+        await this.writeResolved(collection, recordId, conflictResolver.mergeFields(base, local, remote, await this.getRatingSchema(local)));
+      } else {
+        return { success: false, error: `Cannot resolve with "${choice}"` };
+      }
+
+      await this.store.delete('conflicts', conflictId);
+      console.log('✅ Conflict resolved:', collection, recordId, choice);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Resolve conflict error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Change subscriptions
+   */
+
+  /**
+   * Call back whenever a matching record is saved or deleted - locally,
+   * from another tab, or remotely through the watched group (see watchGroup)
+   * @param {string} collection
+   * @param {Function|Object|null} filter - predicate, field/value map, or null for every record
+   * @param {Function} callback - receives { collection, id, type, record, previous, source }
+   * @returns {Function} unsubscribe
+   */
+  subscribe(collection, filter, callback) {
+    const subscription = { collection, filter, callback };
+    this.subscribers.push(subscription);
+
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== subscription);
+    };
+  }
+
+  matchesFilter(filter, record) {
+    if (!record) return false;
+    if (!filter) return true;
+    if (typeof filter === 'function') return filter(record);
+    return Object.entries(filter).every(([field, value]) => record[field] === value);
+  }
+
+  emitChange(change) {
+    if (change.source === 'local' && this.coordinator) {
+      this.coordinator.post({ type: 'change', change });
+    }
+
+    this.subscribers
+      .filter(s => s.collection === change.collection)
+      .filter(s => this.matchesFilter(s.filter, change.record) || this.matchesFilter(s.filter, change.previous))
+      .forEach(s => {
+        try {
+          s.callback(change);
+        } catch (error) {
+          console.error('Subscriber error:', error);
+        }
+      });
+  }
+
+  /**
+   * Multi-tab coordination
+   */
+
+  setupCoordinator() {
+    const coordinator = this.coordinator;
+
+    coordinator.on('change', (message) => this.handleTabChange(message.change));
+
+    coordinator.on('syncstatus', (message) => {
+      if (message.status.leader) this.leaderStatus = message.status;
+      this.dispatchSyncStatus();
+    });
+
+    coordinator.on('sync-request', () => {
+      if (coordinator.isLeader() && this.isOnline) this.syncPendingChanges();
+    });
+
+    coordinator.onLeaderChange(async (isLeader) => {
+      await this.ready;
+      if (isLeader && this.isOnline) {
+        await this.syncPendingChanges();
+      }
+      this.notifySyncStatus();
+    });
+  }
+
+  /**
+   * Another tab wrote a record: drop older copies of it from the cache
+   * layers (the writer's cache update may have been evicted or hit the
+   * quota), then tell this tab's subscribers
+   */
+  async handleTabChange(change) {
+    try {
+      const { collection, id, record } = change;
+
+      for (const layer of this.getLocalLayers().filter(l => l.cache)) {
+        const cached = await layer.get(collection, id);
+        if (cached && (!record || (cached.updatedAt || 0) < (record.updatedAt || 0))) {
+          await layer.delete(collection, id);
+        }
+      }
+
+      this.emitChange({ ...change, source: 'tab' });
+    } catch (error) {
+      console.error('Tab change error:', error);
+    }
+  }
+
+  /**
+   * Turn another tab's localStorage write into a change event
+   * (used when BroadcastChannel isn't available)
+   */
+  async handleStorageEvent(event) {
+    const layer = this.layers.find(l => l instanceof LocalStorageAdapter);
+    if (!event.key || !layer) return;
+
+    const parsed = layer.parseKey(event.key);
+    if (!parsed) return;
+
+    const { collection, id } = parsed;
+    const record = safeJSONParse(event.newValue);
+    const previous = safeJSONParse(event.oldValue);
+
+    // Evicted from the cache, not deleted
+    if (!record && await this.getLocalRecord(collection, id)) return;
+
+    this.emitChange({ collection, id, type: record ? 'save' : 'delete', record, previous, source: 'tab' });
+  }
+
+  /**
+   * Realtime pull from the remote layer
+   */
+
+  /**
+   * Keep the local layers in step with a group's records in the remote layer:
+   * the group itself, its teams, and the players on those teams
+   */
+  watchGroup(groupId) {
+    if (this.watchedGroup && this.watchedGroup.groupId === groupId) return;
+    this.unwatchGroup();
+
+    const remote = this.getRemoteLayer();
+    if (!groupId || !remote || !remote.watch || !this.isLayerAvailable(remote)) return;
+
+    const watch = { groupId, detach: [], teamPlayers: {}, startedAt: Date.now() };
+    this.watchedGroup = watch;
+
+    const applyTo = (collection) => (type, id, record) => this.handleRemoteChange(collection, type, id, record);
+
+    watch.detach.push(remote.watch('groups', null, groupId, applyTo('groups')));
+    watch.detach.push(remote.watch('teams', 'groupId', groupId, (type, teamId, team) => {
+      // Players have no groupId, so each team gets its own players watch
+      if (type === 'save' && !watch.teamPlayers[teamId]) {
+        watch.teamPlayers[teamId] = remote.watch('players', 'teamId', teamId, applyTo('players'));
+      } else if (type === 'delete' && watch.teamPlayers[teamId]) {
+        watch.teamPlayers[teamId]();
+        delete watch.teamPlayers[teamId];
+      }
+      this.handleRemoteChange('teams', type, teamId, team);
+    }));
+
+    console.log('👂 Watching group for remote changes:', groupId);
+  }
+
+  unwatchGroup() {
+    const watch = this.watchedGroup;
+    if (!watch) return;
+
+    watch.detach.forEach(detach => detach());
+    Object.values(watch.teamPlayers).forEach(detach => detach());
+    this.watchedGroup = null;
+  }
+
+  /**
+   * Apply a remote change locally if it is newer than what we have
+   * (this also skips the echo of our own writes)
+   */
+  async handleRemoteChange(collection, type, id, remote) {
+    try {
+      const local = await this.getLocalRecord(collection, id);
+
+      // A write of ours is still waiting to sync - reconcile against it instead
+      const pending = await this.store.get('syncQueue', this.getSyncKey(collection, id));
+      if (pending) {
+        await this.reconcilePendingWrite(pending, type, remote);
+        return;
+      }
+
+      if (type === 'delete') {
+        if (!local) return;
+        await this.deleteLocal(collection, id);
+        this.emitChange({ collection, id, type: 'delete', record: null, previous: local, source: 'remote' });
+        return;
+      }
+
+      if (!remote || (local && (local.updatedAt || 0) >= (remote.updatedAt || 0))) return;
+
+      await this.applyRemoteLocally(collection, id, remote);
+    } catch (error) {
+      console.error('Remote change error:', error);
+    }
+  }
+
+  /**
+   * Resolve an incoming remote change against a queued local write,
+   * using the same strategy as queue replay
+   */
+  async reconcilePendingWrite(item, type, remote) {
+    // Deletes on either side are settled when the queue is replayed
+    if (type === 'delete' || item.operation === 'delete') return;
+
+    if (!conflictResolver.isConflict(item, remote)) return;
+
+    const strategy = conflictResolver.getStrategy();
+
+    if (strategy === CONFLICT_STRATEGIES.LAST_WRITE_WINS) {
+      if (conflictResolver.lastWriteWins(item, remote) === 'remote') {
+        await this.store.delete('syncQueue', item.id);
+        await this.applyRemoteLocally(item.collection, item.recordId, remote);
+        this.notifySyncStatus();
+      }
+      return;
+    }
+
+    if (strategy === CONFLICT_STRATEGIES.MERGE) {
+      const previous = await this.getLocalRecord(item.collection, item.recordId);
+      const merged = {
+        ...conflictResolver.mergeFields(item.baseData, item.data, remote, await this.getRatingSchema(item.data)),
+        schemaVersion: migrationManager.getCurrentVersion(),
+        updatedAt: Date.now()
+      };
+      await this.putLocal(item.collection, item.recordId, merged);
+
+      // The merge already contains the remote edit, so it becomes the new base
+      await this.store.put('syncQueue', item.id, {
+        ...item,
+        data: merged,
+        baseUpdatedAt: remote.updatedAt,
+        baseData: remote
+      });
+
+      this.emitChange({ collection: item.collection, id: item.recordId, type: 'save', record: merged, previous, source: 'remote' });
+      return;
+    }
+
+    // Ask: keep both - the replay stores the conflict for the user
+  }
+
+  /**
+   * Integrity checks
+   */
+
+  /**
+   * Scan every collection in every reachable layer for problems
+   * Read only - repair() fixes what it can
+   *
+   * Issue types:
+   *   layer-mismatch   - layers missing a record or holding an older version
+   *   deleted-in-layer - layers still holding a record deleted after its last edit
+   *   dangling-roster  - a team's starters/bench list a player that is gone or on another team
+   *   dangling-team    - a group lists a team that is gone or in another group
+   *   unlisted-team    - a team is missing from its group's team list
+   *   orphan-player    - a player's team is gone or in the trash
+   *   orphan-team      - a team's group is gone or in the trash
+   *   rating-mismatch  - stored overall/tier differ from what ratingsCalculator gives
+   *
+   * @returns {Promise<{checkedAt: number, issues: Array<{type, collection, id, message}>}>}
+   */
+  async verifyIntegrity() {
+    const { issues } = await this.checkIntegrity();
+    return { checkedAt: Date.now(), issues };
+  }
+
+  async checkIntegrity() {
+    const snapshot = await this.readIntegritySnapshot();
+    const issues = [
+      ...this.findLayerIssues(snapshot),
+      ...this.findReferenceIssues(snapshot.records),
+      ...this.findRatingIssues(snapshot.records)
+    ];
+
+    console.log(issues.length > 0
+      ? `🩺 Integrity check found ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}`
+      : '🩺 Integrity check passed');
+    return { snapshot, issues };
+  }
+
+  /**
+   * Every layer's copy of every record, and the version that counts
+   * (the newest one, unless it was deleted since)
+   */
+  async readIntegritySnapshot() {
+    const layers = this.layers.filter(layer => this.isLayerReachable(layer));
+    const pending = new Set((await this.getSyncQueueItems()).map(item => item.id));
+    const snapshot = { layers, pending, held: {}, tombstones: {}, records: {} };
+
+    for (const [collection, idKey] of Object.entries(COLLECTION_KEYS)) {
+      const held = [];
+      for (const layer of layers) {
+        const records = await layer.getAll(collection);
+        held.push(new Map(records.map(record => [record[idKey], record])));
+      }
+
+      const tombstones = await this.getTombstones(collection, true);
+      const records = new Map();
+      new Set(held.flatMap(layerRecords => [...layerRecords.keys()])).forEach(id => {
+        const newest = this.newestVersion(held.map(layerRecords => layerRecords.get(id) || null));
+        if (!this.isTombstoned(tombstones.get(id), newest)) {
+          records.set(id, migrationManager.migrateRecord(collection, newest));
+        }
+      });
+
+      snapshot.held[collection] = held;
+      snapshot.tombstones[collection] = tombstones;
+      snapshot.records[collection] = records;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Indexes of the layers out of step with a record's newest version
+   * (the remote layer is left alone while a queued write for it is pending)
+   */
+  getStaleLayers(snapshot, collection, id) {
+    const versions = snapshot.held[collection].map(records => records.get(id) || null);
+    const newest = this.newestVersion(versions);
+    const deleted = this.isTombstoned(snapshot.tombstones[collection].get(id), newest);
+    const pending = snapshot.pending.has(this.getSyncKey(collection, id));
+
+    const stale = [...snapshot.layers.keys()].filter(i => {
+      const layer = snapshot.layers[i];
+      if (layer.remote && pending) return false;
+      if (deleted) return !!versions[i];
+      if (!versions[i]) return !layer.cache;
+      return (versions[i].updatedAt || 0) < (newest.updatedAt || 0);
+    });
+
+    return { newest, deleted, stale };
+  }
+
+  findLayerIssues(snapshot) {
+    const issues = [];
+
+    for (const [collection, held] of Object.entries(snapshot.held)) {
+      const ids = new Set(held.flatMap(records => [...records.keys()]));
+
+      for (const id of ids) {
+        const { deleted, stale } = this.getStaleLayers(snapshot, collection, id);
+        if (stale.length === 0) continue;
+
+        const layers = stale.map(i => snapshot.layers[i].name);
+        issues.push(deleted
+          ? {
+            type: 'deleted-in-layer', collection, id, layers,
+            message: `Deleted ${collection} record ${id} is still in ${layers.join(', ')}`
+          }
+          : {
+            type: 'layer-mismatch', collection, id, layers,
+            message: `${collection} record ${id} is missing or out of date in ${layers.join(', ')}`
+          });
+      }
+    }
+
+    return issues;
+  }
+
+  findReferenceIssues({ groups, teams, players }) {
+    const issues = [];
+
+    teams.forEach((team, teamId) => {
+      const trashed = !!team.deletedAt;
+
+      // A trashed team keeps its roster for restore - only ids that are gone are dangling
+      ['starters', 'bench'].forEach(slot => {
+        ((team.roster || {})[slot] || []).forEach(playerId => {
+          const player = players.get(playerId);
+          if (!player || (!trashed && (player.deletedAt || player.teamId !== teamId))) {
+            issues.push({
+              type: 'dangling-roster', collection: 'teams', id: teamId, slot, playerId,
+              message: `Team ${team.teamName} lists ${player ? 'unavailable' : 'missing'} player ${playerId} in ${slot}`
+            });
+          }
+        });
+      });
+
+      if (trashed || !team.groupId) return;
+
+      const group = groups.get(team.groupId);
+      if (!group || group.deletedAt) {
+        issues.push({
+          type: 'orphan-team', collection: 'teams', id: teamId, groupId: team.groupId,
+          message: `Team ${team.teamName} belongs to ${group ? 'trashed' : 'missing'} group ${team.groupId}`
+        });
+      } else if (!(group.teams || []).includes(teamId)) {
+        issues.push({
+          type: 'unlisted-team', collection: 'groups', id: group.groupId, teamId,
+          message: `Group ${group.groupName} doesn't list its team ${team.teamName}`
+        });
+      }
+    });
+
+    groups.forEach((group, groupId) => {
+      (group.teams || []).forEach(teamId => {
+        const team = teams.get(teamId);
+        if (!team || (!group.deletedAt && (team.deletedAt || team.groupId !== groupId))) {
+          issues.push({
+            type: 'dangling-team', collection: 'groups', id: groupId, teamId,
+            message: `Group ${group.groupName} lists ${team ? 'unavailable' : 'missing'} team ${teamId}`
+          });
+        }
+      });
+    });
+
+    players.forEach((player, playerId) => {
+      if (player.deletedAt) return;
+
+      const team = teams.get(player.teamId);
+      if (!team || team.deletedAt) {
+        issues.push({
+          type: 'orphan-player', collection: 'players', id: playerId, teamId: player.teamId,
+          message: `Player ${player.playerName} belongs to ${team ? 'trashed' : 'missing'} team ${player.teamId}`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Players whose stored overall/tier differ from a fresh rating
+   * (snapshot records are upgraded, so legacy weighted points are compared
+   * as the 0-100 values migration v2 converts them to)
+   */
+  findRatingIssues(records) {
+    if (typeof ratingsCalculator === 'undefined') return [];
+
+    const issues = [];
+    records.players.forEach((player, playerId) => {
+      const schema = this.getSnapshotRatingSchema(records, player);
+      const ratings = ratingsCalculator.ratePlayer(player, schema);
+      if (player.overall !== ratings.overall || player.tier !== ratings.tier) {
+        issues.push({
+          type: 'rating-mismatch', collection: 'players', id: playerId,
+          stored: { overall: player.overall, tier: player.tier },
+          expected: { overall: ratings.overall, tier: ratings.tier },
+          message: `Player ${player.playerName} is stored as ${player.overall} ${player.tier}, ratings give ${ratings.overall} ${ratings.tier}`
+        });
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * Rating schema of a player's group among the snapshot's records
+   */
+  getSnapshotRatingSchema(records, player) {
+    const team = records.teams.get(player.teamId);
+    const group = team ? records.groups.get(team.groupId) : null;
+    return group && group.ratingSchema ? group.ratingSchema : null;
+  }
+
+  /**
+   * Fix what verifyIntegrity() finds, logging every change
+   * Layers are first brought in line with the newest version of each
+   * record. Broken references and stale ratings are then fixed in one
+   * transaction, so the fixes sync and show up in the edit history like any
+   * other edit. Orphans are moved to the trash rather than deleted.
+   * @returns {Promise<{fixed: Array, unfixed: Array}>} - issues, each fixed one with a `change`
+   */
+  async repair() {
+    const { snapshot, issues } = await this.checkIntegrity();
+    const fixed = [];
+    const unfixed = [];
+
+    for (const issue of issues.filter(i => i.type === 'layer-mismatch' || i.type === 'deleted-in-layer')) {
+      try {
+        const { collection, id } = issue;
+        const { newest, deleted, stale } = this.getStaleLayers(snapshot, collection, id);
+
+        for (const i of stale) {
+          const layer = snapshot.layers[i];
+          if (!deleted) {
+            await layer.put(collection, id, newest);
+          } else if (layer.remote) {
+            await this.deleteRemote(collection, id, snapshot.tombstones[collection].get(id).deletedAt);
+          } else {
+            await layer.delete(collection, id);
+          }
+        }
+
+        fixed.push({ ...issue, change: `${deleted ? 'Removed from' : 'Copied the newest version to'} ${issue.layers.join(', ')}` });
+      } catch (error) {
+        unfixed.push({ ...issue, error: error.message });
+      }
+    }
+
+    // Record fixes, collected per record so one record changes once
+    const edits = new Map();
+    const edit = (collection, id) => {
+      const key = this.getSyncKey(collection, id);
+      if (!edits.has(key)) {
+        edits.set(key, { collection, id, data: deepClone(snapshot.records[collection].get(id)) });
+      }
+      return edits.get(key).data;
+    };
+    const trashedAt = Date.now();
+    const recordFixes = [];
+
+    for (const issue of issues) {
+      let change = null;
+
+      if (issue.type === 'dangling-roster') {
+        const team = edit('teams', issue.id);
+        team.roster[issue.slot] = team.roster[issue.slot].filter(playerId => playerId !== issue.playerId);
+        change = `Removed player ${issue.playerId} from ${issue.slot}`;
+      } else if (issue.type === 'dangling-team') {
+        const group = edit('groups', issue.id);
+        group.teams = group.teams.filter(teamId => teamId !== issue.teamId);
+        change = `Removed team ${issue.teamId} from the group`;
+      } else if (issue.type === 'unlisted-team') {
+        const group = edit('groups', issue.id);
+        if (!group.teams.includes(issue.teamId)) group.teams.push(issue.teamId);
+        change = `Added team ${issue.teamId} to the group`;
+      } else if (issue.type === 'orphan-player') {
+        const team = snapshot.records.teams.get(issue.teamId);
+        Object.assign(edit('players', issue.id), { deletedAt: trashedAt, deletedWith: team ? team.teamId : null });
+        change = 'Moved to the trash';
+      } else if (issue.type === 'orphan-team') {
+        const group = snapshot.records.groups.get(issue.groupId);
+        Object.assign(edit('teams', issue.id), { deletedAt: trashedAt, deletedWith: group ? group.groupId : null });
+
+        // Its players go with it, restorable together
+        snapshot.records.players.forEach((player, playerId) => {
+          if (player.teamId === issue.id && !player.deletedAt) {
+            Object.assign(edit('players', playerId), { deletedAt: trashedAt, deletedWith: issue.id });
+          }
+        });
+        change = 'Moved to the trash with its players';
+      } else if (issue.type === 'rating-mismatch') {
+        const player = edit('players', issue.id);
+        const schema = this.getSnapshotRatingSchema(snapshot.records, player);
+        Object.assign(player, ratingsCalculator.ratePlayer(player, schema));
+        change = ['overall', 'tier']
+          .filter(field => issue.stored[field] !== issue.expected[field])
+          .map(field => `${field} ${issue.stored[field]} → ${issue.expected[field]}`)
+          .join(', ');
+      }
+
+      if (change) recordFixes.push({ ...issue, change });
+    }
+
+    if (edits.size > 0) {
+      try {
+        await this.transaction([...edits.values()].map(({ collection, id, data }) => ({ type: 'save', collection, id, data })));
+        fixed.push(...recordFixes);
+      } catch (error) {
+        unfixed.push(...recordFixes.map(({ change, ...issue }) => ({ ...issue, error: error.message })));
+      }
+    }
+
+    fixed.forEach(issue => console.log(`🔧 Repaired ${issue.collection} ${issue.id}: ${issue.change}`));
+    unfixed.forEach(issue => console.error(`❌ Could not repair ${issue.collection} ${issue.id}:`, issue.error));
+
+    return { fixed, unfixed };
+  }
+
   /**
    * Query helpers
    */
@@ -516,6 +1941,38 @@ class DBManager {
     return items.filter(filterFn);
   }
 
+  /**
+   * Rating schema of a player's group (null means the default schema)
+   */
+  async getRatingSchema(player) {
+    if (!player || !player.teamId) return null;
+
+    const team = await this.get('teams', player.teamId);
+    const group = team && team.groupId ? await this.get('groups', team.groupId) : null;
+    return group && group.ratingSchema ? group.ratingSchema : null;
+  }
+
+  /**
+   * Get items where item[field] === value using the secondary indexes
+   * Falls back to a full scan for fields without an index
+   */
+  async queryBy(collection, field, value) {
+    if (!(QUERY_INDEXES[collection] || []).includes(field)) {
+      return this.query(collection, item => item[field] === value);
+    }
+
+    try {
+      return await this.readMerged(collection, layer => layer.query(collection, field, value), {
+        matches: record => record[field] === value,
+        readKey: `${collection}.${field}=${value}`,
+        watched: this.isWatchedRead(collection, field, value)
+      });
+    } catch (error) {
+      console.error('❌ QueryBy error:', error);
+      return [];
+    }
+  }
+
   async count(collection) {
     const items = await this.getAll(collection);
     return items.length;
@@ -526,21 +1983,14 @@ class DBManager {
    */
   async clearAll() {
     if (confirm('Are you sure you want to clear ALL data? This cannot be undone.')) {
-      // Clear localStorage
-      localStorage.clear();
-      
-      // Clear IndexedDB
-      if (this.db) {
-        const collections = ['groups', 'teams', 'players', 'syncQueue'];
-        for (const collection of collections) {
-          const transaction = this.db.transaction([collection], 'readwrite');
-          const store = transaction.objectStore(collection);
-          await store.clear();
-        }
+      // Every local layer, plus the sync queue and conflict stores
+      for (const layer of new Set([...this.getLocalLayers(), this.store])) {
+        if (layer.clear) await layer.clear();
       }
+      this.remoteReads = null;
       
       console.log('🗑️ All local data cleared');
-      showToast('All data cleared', 'info');
+      this.notifyUser('All data cleared', 'info');
     }
   }
 }
@@ -48,15 +48,26 @@ const DIVISIONS = {
 };
 
 class DivisionManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   * @param {TeamManager} [options.teamManager]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.teamManager = options.teamManager || teamManager;
+  }
+
   /**
    * Calculate team's division based on roster
    */
   async calculateTeamDivision(teamId) {
     try {
-      const players = await teamManager.getTeamPlayers(teamId);
+      const players = await this.teamManager.getTeamPlayers(teamId);
       const totalPlayers = players.length;
       const bodyCount = players.filter(p => p.isBody === true).length;
-      const { starters } = await teamManager.getTeamRoster(teamId);
+      const { starters } = await this.teamManager.getTeamRoster(teamId);
       const startersCount = starters.length;
       
       let divisionName;
@@ -90,8 +101,8 @@ class DivisionManager {
   async getTeamsByDivision(groupId = null) {
     try {
       const teams = groupId 
-        ? await teamManager.getTeamsByGroup(groupId)
-        : await teamManager.getAllTeams();
+        ? await this.teamManager.getTeamsByGroup(groupId)
+        : await this.teamManager.getAllTeams();
 
       const divisionTeams = {
         D1: [],
@@ -102,7 +113,7 @@ class DivisionManager {
 
       for (const team of teams) {
         const division = await this.calculateTeamDivision(team.teamId);
-        const stats = await teamManager.getTeamStats(team.teamId);
+        const stats = await this.teamManager.getTeamStats(team.teamId);
         
         divisionTeams[division.name].push({
           ...team,
@@ -161,8 +172,8 @@ class DivisionManager {
   async getTeamDivisionInfo(teamId) {
     try {
       const division = await this.calculateTeamDivision(teamId);
-      const players = await teamManager.getTeamPlayers(teamId);
-      const { starters, bench } = await teamManager.getTeamRoster(teamId);
+      const players = await this.teamManager.getTeamPlayers(teamId);
+      const { starters, bench } = await this.teamManager.getTeamRoster(teamId);
       
       const startersCount = starters.length;
       const benchCount = bench.length;
@@ -236,6 +247,28 @@ class DivisionManager {
     }
   }
 
+  /**
+   * Subscribe to anything that can move a group's division standings:
+   * its teams, and the players on them
+   * @returns {Function} unsubscribe
+   */
+  onDivisionChange(groupId, callback) {
+    const teamIds = new Set();
+    this.teamManager.getTeamsByGroup(groupId).then(teams => {
+      teams.forEach(team => teamIds.add(team.teamId));
+    });
+
+    const notify = debounce(callback, 100);
+    const unsubscribers = [
+      this.db.subscribe('teams', { groupId }, (change) => {
+        teamIds.add(change.id);
+        notify(change);
+      }),
+      this.db.subscribe('players', player => teamIds.has(player.teamId), notify)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
   /**
    * Get all division definitions
    */
@@ -4,8 +4,19 @@
  */
 
 class GroupManager {
-  constructor() {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   * @param {TrashManager} [options.trashManager]
+   * @param {UndoManager} [options.undoManager]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.trashManager = options.trashManager || trashManager;
+    this.undoManager = options.undoManager || undoManager;
     this.currentGroup = null;
+    this.unsubscribeCurrentGroup = null;
   }
 
   /**
@@ -28,7 +39,9 @@ class GroupManager {
         teams: []
       };
 
-      await dbManager.save('groups', groupId, group);
+      this.setMemberName(group.creator);
+      await this.db.save('groups', groupId, group);
+      this.undoManager.record(`Create ${group.groupName}`, [{ collection: 'groups', id: groupId, before: null, after: group }]);
       
       // Set as current group
       this.setCurrentGroup(group);
@@ -43,12 +56,14 @@ class GroupManager {
 
   /**
    * Join existing group
+   * @param {string} [memberName] - added to the group's members and
+   *   remembered as this device's member
    */
-  async joinGroup(groupId, password) {
+  async joinGroup(groupId, password, memberName = null) {
     try {
-      const group = await dbManager.get('groups', groupId);
+      const group = await this.db.get('groups', groupId);
       
-      if (!group) {
+      if (!group || this.trashManager.isTrashed(group)) {
         return { success: false, error: 'Group not found' };
       }
 
@@ -58,10 +73,17 @@ class GroupManager {
         return { success: false, error: 'Incorrect password' };
       }
 
-      this.setCurrentGroup(group);
+      let joined = group;
+      if (memberName) {
+        this.setMemberName(memberName);
+        await this.addMember(groupId, memberName);
+        joined = await this.db.get('groups', groupId);
+      }
+
+      this.setCurrentGroup(joined);
       
       console.log('✅ Joined group:', groupId);
-      return { success: true, group };
+      return { success: true, group: joined };
     } catch (error) {
       console.error('❌ Join group error:', error);
       return { success: false, error: error.message };
@@ -73,8 +95,8 @@ class GroupManager {
    */
   async getGroup(groupId) {
     try {
-      const group = await dbManager.get('groups', groupId);
-      return group;
+      const group = await this.db.get('groups', groupId);
+      return this.trashManager.isTrashed(group) ? null : group;
     } catch (error) {
       console.error('❌ Get group error:', error);
       return null;
@@ -86,9 +108,9 @@ class GroupManager {
    */
   async updateGroup(groupId, updates) {
     try {
-      const group = await dbManager.get('groups', groupId);
+      const group = await this.db.get('groups', groupId);
       
-      if (!group) {
+      if (!group || this.trashManager.isTrashed(group)) {
         return { success: false, error: 'Group not found' };
       }
 
@@ -99,7 +121,8 @@ class GroupManager {
         updatedAt: Date.now()
       };
 
-      await dbManager.save('groups', groupId, updatedGroup);
+      await this.db.save('groups', groupId, updatedGroup);
+      this.undoManager.record(`Edit ${group.groupName}`, [{ collection: 'groups', id: groupId, before: group, after: updatedGroup }]);
       
       if (this.currentGroup && this.currentGroup.groupId === groupId) {
         this.setCurrentGroup(updatedGroup);
@@ -114,31 +137,276 @@ class GroupManager {
   }
 
   /**
-   * Delete group
+   * Set the group's rating schema (null goes back to the default) and
+   * recalculate every player in the group with it
+   */
+  async setRatingSchema(groupId, ratingSchema, label = null) {
+    try {
+      if (ratingSchema) {
+        const { valid, errors } = ratingsCalculator.validateSchema(ratingSchema);
+        if (!valid) {
+          return { success: false, error: errors.join('; '), errors };
+        }
+      }
+
+      const group = await this.db.get('groups', groupId);
+
+      if (!group || this.trashManager.isTrashed(group)) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      const updatedAt = Date.now();
+      const updatedGroup = { ...group, ratingSchema: ratingSchema || null, updatedAt };
+      const ops = [{ type: 'save', collection: 'groups', id: groupId, data: updatedGroup }];
+      const previous = { [groupId]: group };
+
+      // Raters' consensus and biases follow the new settings too (players are
+      // read upgraded, so pre-versioning stats are already 0-100 values)
+      const players = await this.getGroupPlayers(groupId);
+      const biases = ratingsCalculator.getRaterBiases(players, ratingSchema);
+      players.forEach(player => {
+        const rated = ratingsCalculator.ratePlayer(player, ratingSchema, biases);
+        ops.push({ type: 'save', collection: 'players', id: player.playerId, data: { ...rated, updatedAt } });
+        previous[player.playerId] = player;
+      });
+
+      // The schema and the ratings it produces change together
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(label || `Edit ${group.groupName} ratings`, ops, previous);
+
+      if (this.currentGroup && this.currentGroup.groupId === groupId) {
+        this.setCurrentGroup(updatedGroup);
+      }
+
+      console.log('✅ Rating schema updated:', groupId);
+      return { success: true, group: updatedGroup, recalculated: ops.length - 1 };
+    } catch (error) {
+      console.error('❌ Set rating schema error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Set the group's tier ladder (null goes back to the default ladder),
+   * keeping its stats, and re-tier every player in the group
+   */
+  async setTierLadder(groupId, tiers) {
+    try {
+      const group = await this.db.get('groups', groupId);
+
+      if (!group || this.trashManager.isTrashed(group)) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      const ratingSchema = this.withTiers(group.ratingSchema, tiers);
+      return this.setRatingSchema(groupId, ratingSchema, `Edit ${group.groupName} tiers`);
+    } catch (error) {
+      console.error('❌ Set tier ladder error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * How the group's players would spread over a tier ladder, without saving it
+   * @returns {{success, tiers: Array<{name, min, max, color, gradient, rarity, count, players}>, moves: Array<{player, from, to}>}}
+   */
+  async previewTierLadder(groupId, tiers) {
+    try {
+      const group = await this.db.get('groups', groupId);
+
+      if (!group || this.trashManager.isTrashed(group)) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      const ratingSchema = this.withTiers(group.ratingSchema, tiers);
+      if (ratingSchema) {
+        const { valid, errors } = ratingsCalculator.validateSchema(ratingSchema);
+        if (!valid) {
+          return { success: false, error: errors.join('; '), errors };
+        }
+      }
+
+      const ladder = ratingsCalculator.getTiers(ratingSchema).map(tier => ({ ...tier, count: 0, players: [] }));
+      const moves = [];
+      const players = await this.getGroupPlayers(groupId);
+
+      players.forEach(player => {
+        const tier = ratingsCalculator.getTier(player.overall, ratingSchema);
+        const rung = ladder.find(t => t.name === tier.name);
+        rung.count++;
+        rung.players.push(player);
+        if (tier.name !== player.tier) {
+          moves.push({ player, from: player.tier, to: tier.name });
+        }
+      });
+
+      return { success: true, tiers: ladder, moves };
+    } catch (error) {
+      console.error('❌ Preview tier ladder error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * A rating schema with its tier ladder replaced (null when nothing is
+   * left that differs from the default)
+   */
+  withTiers(ratingSchema, tiers) {
+    const schema = { ...ratingsCalculator.getSchema(ratingSchema) };
+    delete schema.tiers;
+    if (tiers) schema.tiers = tiers;
+    return ratingSchema || tiers ? schema : null;
+  }
+
+  /**
+   * The group's archetype templates (group.templates: templateId →
+   * {templateId, name, stats, capBreakers, createdBy, createdAt}), by name
+   */
+  async getTemplates(groupId) {
+    const group = await this.getGroup(groupId);
+    return Object.values((group && group.templates) || {})
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save an archetype template of slider values, shared with the group - a
+   * new one, or an update when templateId is given
+   * @param {{name, stats, capBreakers}} template - values 0-100
+   */
+  async saveTemplate(groupId, { name, stats = {}, capBreakers = {} }, templateId = null) {
+    try {
+      const group = await this.db.get('groups', groupId);
+
+      if (!group || this.trashManager.isTrashed(group)) {
+        return { success: false, error: 'Group not found' };
+      }
+
+      const templateName = String(name || '').trim();
+      if (!templateName || templateName.length > 30) {
+        return { success: false, error: 'Template name must be 1-30 characters' };
+      }
+
+      const templates = { ...(group.templates || {}) };
+      const taken = Object.values(templates)
+        .some(other => other.templateId !== templateId && other.name.toLowerCase() === templateName.toLowerCase());
+      if (taken) {
+        return { success: false, error: `A template named "${templateName}" already exists` };
+      }
+      if (templateId && !templates[templateId]) {
+        return { success: false, error: 'Template not found' };
+      }
+
+      // Slider values only, clamped to 0-100
+      const sliders = (values) => {
+        const result = {};
+        Object.keys(values || {}).forEach(key => {
+          const value = parseInt(values[key]);
+          if (!isNaN(value)) result[key] = Math.min(100, Math.max(0, value));
+        });
+        return result;
+      };
+
+      const id = templateId || generateId('template');
+      const template = {
+        ...(templates[id] || { createdBy: this.getMemberName() || 'Anonymous', createdAt: Date.now() }),
+        templateId: id,
+        name: templateName,
+        stats: sliders(stats),
+        capBreakers: sliders(capBreakers)
+      };
+      templates[id] = template;
+
+      const updatedGroup = { ...group, templates, updatedAt: Date.now() };
+      await this.db.save('groups', groupId, updatedGroup);
+      this.undoManager.record(`${templateId ? 'Edit' : 'Add'} template ${templateName}`, [{ collection: 'groups', id: groupId, before: group, after: updatedGroup }]);
+
+      if (this.currentGroup && this.currentGroup.groupId === groupId) {
+        this.setCurrentGroup(updatedGroup);
+      }
+
+      console.log('✅ Template saved:', id);
+      return { success: true, template };
+    } catch (error) {
+      console.error('❌ Save template error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete an archetype template
+   */
+  async deleteTemplate(groupId, templateId) {
+    try {
+      const group = await this.db.get('groups', groupId);
+
+      if (!group || !group.templates || !group.templates[templateId]) {
+        return { success: false, error: 'Template not found' };
+      }
+
+      const templates = { ...group.templates };
+      const { name } = templates[templateId];
+      delete templates[templateId];
+
+      const updatedGroup = { ...group, templates, updatedAt: Date.now() };
+      await this.db.save('groups', groupId, updatedGroup);
+      this.undoManager.record(`Delete template ${name}`, [{ collection: 'groups', id: groupId, before: group, after: updatedGroup }]);
+
+      if (this.currentGroup && this.currentGroup.groupId === groupId) {
+        this.setCurrentGroup(updatedGroup);
+      }
+
+      console.log('✅ Template deleted:', templateId);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Delete template error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete group (moves it, its teams and their players to the trash)
    */
   async deleteGroup(groupId) {
     try {
-      // Get all teams in this group
-      const teams = await dbManager.query('teams', team => team.groupId === groupId);
+      const group = await this.db.get('groups', groupId);
       
-      // Delete all players in those teams
-      for (const team of teams) {
-        const players = await dbManager.query('players', player => player.teamId === team.teamId);
-        for (const player of players) {
-          await dbManager.delete('players', player.playerId);
-        }
-        await dbManager.delete('teams', team.teamId);
+      if (!group || this.trashManager.isTrashed(group)) {
+        return { success: false, error: 'Group not found' };
       }
 
-      // Delete the group
-      await dbManager.delete('groups', groupId);
+      const deletedAt = Date.now();
+      const ops = [];
+
+      const previous = { [groupId]: group };
+
+      // Get all teams in this group (already-trashed ones keep their own trash entry)
+      const teams = await this.db.queryBy('teams', 'groupId', groupId);
+      
+      // Trash all players in those teams
+      for (const team of teams.filter(t => !this.trashManager.isTrashed(t))) {
+        const players = await this.db.queryBy('players', 'teamId', team.teamId);
+        players
+          .filter(player => !this.trashManager.isTrashed(player))
+          .forEach(player => {
+            ops.push(this.trashManager.trashOp('players', player.playerId, player, deletedAt, groupId));
+            previous[player.playerId] = player;
+          });
+        ops.push(this.trashManager.trashOp('teams', team.teamId, team, deletedAt, groupId));
+        previous[team.teamId] = team;
+      }
+
+      // Trash the group
+      ops.push(this.trashManager.trashOp('groups', groupId, group, deletedAt));
+
+      // All or nothing - a failure can't leave orphaned players behind
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(`Delete ${group.groupName}`, ops, previous);
       
       if (this.currentGroup && this.currentGroup.groupId === groupId) {
-        this.currentGroup = null;
-        storage.remove('currentGroup');
+        this.clearCurrentGroup();
       }
       
-      console.log('✅ Group deleted:', groupId);
+      console.log('✅ Group trashed:', groupId);
       return { success: true };
     } catch (error) {
       console.error('❌ Delete group error:', error);
@@ -151,7 +419,7 @@ class GroupManager {
    */
   async addTeamToGroup(groupId, teamId) {
     try {
-      const group = await dbManager.get('groups', groupId);
+      const group = await this.db.get('groups', groupId);
       
       if (!group) {
         return { success: false, error: 'Group not found' };
@@ -159,7 +427,7 @@ class GroupManager {
 
       if (!group.teams.includes(teamId)) {
         group.teams.push(teamId);
-        await dbManager.save('groups', groupId, group);
+        await this.db.save('groups', groupId, group);
       }
       
       return { success: true };
@@ -174,14 +442,14 @@ class GroupManager {
    */
   async removeTeamFromGroup(groupId, teamId) {
     try {
-      const group = await dbManager.get('groups', groupId);
+      const group = await this.db.get('groups', groupId);
       
       if (!group) {
         return { success: false, error: 'Group not found' };
       }
 
       group.teams = group.teams.filter(id => id !== teamId);
-      await dbManager.save('groups', groupId, group);
+      await this.db.save('groups', groupId, group);
       
       return { success: true };
     } catch (error) {
@@ -195,20 +463,32 @@ class GroupManager {
    */
   async getGroupTeams(groupId) {
     try {
-      const teams = await dbManager.query('teams', team => team.groupId === groupId);
-      return teams;
+      const teams = await this.db.queryBy('teams', 'groupId', groupId);
+      return teams.filter(team => !this.trashManager.isTrashed(team));
     } catch (error) {
       console.error('❌ Get group teams error:', error);
       return [];
     }
   }
 
+  /**
+   * Get all players in the group's teams
+   */
+  async getGroupPlayers(groupId) {
+    const players = [];
+    for (const team of await this.getGroupTeams(groupId)) {
+      const teamPlayers = await this.db.queryBy('players', 'teamId', team.teamId);
+      players.push(...teamPlayers.filter(player => !this.trashManager.isTrashed(player)));
+    }
+    return players;
+  }
+
   /**
    * Add member to group
    */
   async addMember(groupId, memberName) {
     try {
-      const group = await dbManager.get('groups', groupId);
+      const group = await this.db.get('groups', groupId);
       
       if (!group) {
         return { success: false, error: 'Group not found' };
@@ -216,7 +496,7 @@ class GroupManager {
 
       if (!group.members.includes(memberName)) {
         group.members.push(memberName);
-        await dbManager.save('groups', groupId, group);
+        await this.db.save('groups', groupId, group);
       }
       
       return { success: true };
@@ -226,12 +506,43 @@ class GroupManager {
     }
   }
 
+  /**
+   * Name of the member using this device (the author of their edits)
+   */
+  getMemberName() {
+    return storage.get('memberName', null);
+  }
+
+  setMemberName(memberName) {
+    storage.set('memberName', memberName);
+  }
+
   /**
    * Set current group (session)
    */
   setCurrentGroup(group) {
     this.currentGroup = group;
     storage.set('currentGroup', group);
+    this.watchCurrentGroup();
+  }
+
+  /**
+   * Pull other members' changes to the current group in real time,
+   * and keep the session copy of the group record fresh
+   */
+  watchCurrentGroup() {
+    const group = this.getCurrentGroup();
+    if (!group) return;
+
+    this.db.watchGroup(group.groupId);
+
+    if (this.unsubscribeCurrentGroup) this.unsubscribeCurrentGroup();
+    this.unsubscribeCurrentGroup = this.db.subscribe('groups', { groupId: group.groupId }, (change) => {
+      if (change.record && !this.trashManager.isTrashed(change.record)) {
+        this.currentGroup = change.record;
+        storage.set('currentGroup', change.record);
+      }
+    });
   }
 
   /**
@@ -250,6 +561,11 @@ class GroupManager {
   clearCurrentGroup() {
     this.currentGroup = null;
     storage.remove('currentGroup');
+    this.db.unwatchGroup();
+    if (this.unsubscribeCurrentGroup) {
+      this.unsubscribeCurrentGroup();
+      this.unsubscribeCurrentGroup = null;
+    }
   }
 
   /**
@@ -264,7 +580,8 @@ class GroupManager {
    */
   async getAllGroups() {
     try {
-      return await dbManager.getAll('groups');
+      const groups = await this.db.getAll('groups');
+      return groups.filter(group => !this.trashManager.isTrashed(group));
     } catch (error) {
       console.error('❌ Get all groups error:', error);
       return [];
@@ -0,0 +1,192 @@
+/**
+ * Schema Migrations
+ * Numbered upgrade steps for group, team and player records
+ *
+ * Every record carries a `schemaVersion`. Records written before versioning
+ * existed are treated as version 1. Steps run in order, one version at a time,
+ * so a record from any older release can be brought up to SCHEMA_VERSION.
+ *
+ * To change the record shape: bump SCHEMA_VERSION and append a step.
+ * Never edit a step that has already shipped.
+ */
+
+const SCHEMA_VERSION = 4;
+
+// Stat weights as they were when values were stored as weighted points
+const LEGACY_STAT_WEIGHTS = {
+  stats: {
+    face: 15, eyes: 5, hair: 5, top: 5, bottom: 5,
+    fitness: 15, history: 10, personality: 20, tolerance: 10, substances: 10
+  },
+  capBreakers: {
+    athletic: 2, height: 1, attractiveness: 2, intoYou: 1, comfort: 3
+  }
+};
+
+// Which total a player record stored next to each group of values
+const LEGACY_TOTAL_FIELDS = { stats: 'baseTotal', capBreakers: 'capBreakerTotal' };
+
+/**
+ * Check if a group of values was stored as weighted points
+ * The record's own stored total tells the scales apart: weighted points
+ * add up to it directly, 0-100 slider values only once weighted
+ */
+function isLegacyPoints(values, weights, storedTotal) {
+  if (typeof storedTotal !== 'number') return false;
+
+  let points = 0;
+  let weighted = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    const value = Number(values[key]) || 0;
+    points += value;
+    weighted += (value / 100) * weight;
+  }
+  return Math.abs(points - storedTotal) < Math.abs(weighted - storedTotal);
+}
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Convert weighted-point stat values to 0-100 slider values',
+    collections: {
+      // Only unversioned records reach this step; of those, records saved
+      // after the sliders went 0-100 are left alone (see isLegacyPoints)
+      players(player) {
+        for (const [group, weights] of Object.entries(LEGACY_STAT_WEIGHTS)) {
+          const values = player[group];
+          if (!values || !isLegacyPoints(values, weights, player[LEGACY_TOTAL_FIELDS[group]])) continue;
+
+          const converted = {};
+          for (const [key, value] of Object.entries(values)) {
+            converted[key] = weights[key]
+              ? Math.min(100, Math.round(((Number(value) || 0) / weights[key]) * 100))
+              : value;
+          }
+          player[group] = converted;
+        }
+        return player;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Fill in fields missing from early group, team and player shapes',
+    collections: {
+      groups(group) {
+        group.members = Array.isArray(group.members) ? group.members : [group.creator || 'Anonymous'];
+        group.teams = Array.isArray(group.teams) ? group.teams : [];
+        group.description = group.description || '';
+        return group;
+      },
+      teams(team) {
+        const roster = team.roster || {};
+        team.roster = {
+          starters: Array.isArray(roster.starters) ? roster.starters : [],
+          bench: Array.isArray(roster.bench) ? roster.bench : []
+        };
+        team.manager = team.manager || 'Anonymous';
+        team.teamPhoto = team.teamPhoto || '';
+        return team;
+      },
+      players(player) {
+        player.stats = player.stats || {};
+        player.capBreakers = player.capBreakers || {};
+        player.isBody = player.isBody === true;
+        player.playerPhoto = player.playerPhoto || '';
+        return player;
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Reference photos by id instead of embedding base64 strings',
+    collections: {
+      // Embedded base64 photos are moved into the photo store by photoManager.migrateLegacyPhotos
+      teams(team) {
+        team.teamPhotoId = team.teamPhotoId || '';
+        if (!team.teamPhoto) delete team.teamPhoto;
+        return team;
+      },
+      players(player) {
+        player.playerPhotoId = player.playerPhotoId || '';
+        if (!player.playerPhoto) delete player.playerPhoto;
+        return player;
+      }
+    }
+  }
+];
+
+class MigrationManager {
+  /**
+   * Get the schema version new records are written with
+   */
+  getCurrentVersion() {
+    return SCHEMA_VERSION;
+  }
+
+  /**
+   * Get the schema version of a stored record
+   */
+  getRecordVersion(record) {
+    return (record && record.schemaVersion) || 1;
+  }
+
+  /**
+   * Check if record is older than the current schema
+   */
+  needsMigration(record) {
+    return !!record && this.getRecordVersion(record) < SCHEMA_VERSION;
+  }
+
+  /**
+   * Get migration steps newer than the given version
+   */
+  getPendingSteps(fromVersion) {
+    return MIGRATIONS
+      .filter(step => step.version > fromVersion && step.version <= SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Upgrade a single record to the current schema
+   * Returns the original object untouched if it is already current
+   */
+  migrateRecord(collection, record) {
+    if (!this.needsMigration(record)) return record;
+
+    let migrated = deepClone(record);
+    for (const step of this.getPendingSteps(this.getRecordVersion(record))) {
+      const migrate = step.collections[collection];
+      if (migrate) {
+        migrated = migrate(migrated) || migrated;
+      }
+      migrated.schemaVersion = step.version;
+    }
+    migrated.schemaVersion = SCHEMA_VERSION;
+
+    return migrated;
+  }
+
+  /**
+   * Upgrade a list of records, reporting how many changed
+   */
+  migrateRecords(collection, records) {
+    let changed = 0;
+    const migrated = records.map(record => {
+      const result = this.migrateRecord(collection, record);
+      if (result !== record) changed++;
+      return result;
+    });
+    return { records: migrated, changed };
+  }
+
+  /**
+   * Get all migration steps (for debugging)
+   */
+  getAllMigrations() {
+    return MIGRATIONS.map(({ version, description }) => ({ version, description }));
+  }
+}
+
+// Create global instance
+const migrationManager = new MigrationManager();
@@ -0,0 +1,269 @@
+/**
+ * Photo Storage
+ * Player and team photos kept as Blobs in their own store, referenced by id
+ *
+ * Records carry `playerPhotoId` / `teamPhotoId` instead of a base64 string,
+ * which keeps them small enough for the localStorage cache. The Blob lives in
+ * the `photos` system store (IndexedDB in the browser); the remote layer keeps
+ * a data URL copy at `photos/{photoId}` so other members' devices can load it.
+ */
+
+// Record fields holding a photo (legacy base64 field -> reference field)
+const PHOTO_FIELDS = {
+  players: { legacy: 'playerPhoto', ref: 'playerPhotoId' },
+  teams: { legacy: 'teamPhoto', ref: 'teamPhotoId' }
+};
+
+class PhotoManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.urls = new Map();
+  }
+
+  isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+  }
+
+  /**
+   * Store a photo and return its id
+   * @param {string} dataUrl - compressed base64 image
+   */
+  async savePhoto(dataUrl) {
+    const photoId = generateId('photo');
+    const blob = imageOptimizer.base64ToBlob(dataUrl);
+
+    await this.putLocal(photoId, blob);
+    await this.putRemote(photoId, dataUrl);
+
+    console.log('📷 Photo stored:', photoId, formatFileSize(blob.size));
+    return photoId;
+  }
+
+  /**
+   * Store a copy of a photo under a new id and return it ('' if the photo
+   * is gone) - a duplicated record gets its own, so replacing either
+   * record's photo leaves the other's alone
+   */
+  async copyPhoto(photoId) {
+    const blob = await this.getPhoto(photoId);
+    if (!blob) return '';
+
+    const copyId = generateId('photo');
+    await this.putLocal(copyId, blob);
+    if (this.db.getRemoteLayer()) {
+      await this.putRemote(copyId, await imageOptimizer.blobToBase64(blob));
+    }
+
+    console.log('📷 Photo copied:', photoId, '→', copyId);
+    return copyId;
+  }
+
+  /**
+   * Get a photo's Blob, fetching and caching the remote copy if needed
+   */
+  async getPhoto(photoId) {
+    if (!photoId) return null;
+
+    const local = await this.db.store.get('photos', photoId);
+    if (local) return local.blob;
+
+    const remote = this.db.getRemoteLayer();
+    if (!remote || !this.db.canReachRemote()) return null;
+
+    const copy = await remote.get('photos', photoId);
+    if (!copy || !copy.dataUrl) return null;
+
+    const blob = imageOptimizer.base64ToBlob(copy.dataUrl);
+    await this.putLocal(photoId, blob, copy.createdAt);
+    return blob;
+  }
+
+  putLocal(photoId, blob, createdAt = Date.now()) {
+    return this.db.store.put('photos', photoId, {
+      photoId,
+      blob,
+      type: blob.type,
+      size: blob.size,
+      createdAt
+    });
+  }
+
+  /**
+   * Blobs can't go to the remote layer, so it gets a data URL copy
+   * (queued like any other write while offline)
+   */
+  async putRemote(photoId, dataUrl) {
+    const remote = this.db.getRemoteLayer();
+    const copy = { photoId, dataUrl, createdAt: Date.now() };
+
+    if (remote && this.db.canReachRemote()) {
+      await remote.put('photos', photoId, copy);
+    } else if (remote) {
+      await this.db.queueForSync('photos', photoId, copy, 'save');
+    }
+  }
+
+  /**
+   * Get an object URL for an <img> src (reused for the life of the page)
+   */
+  async getPhotoUrl(photoId) {
+    if (this.urls.has(photoId)) return this.urls.get(photoId);
+
+    const blob = await this.getPhoto(photoId);
+    if (!blob) return '';
+
+    const url = URL.createObjectURL(blob);
+    this.urls.set(photoId, url);
+    return url;
+  }
+
+  /**
+   * Fill in every <img data-photo-id="..."> inside a container
+   */
+  async hydrate(container) {
+    if (!container) return;
+
+    const images = container.querySelectorAll('img[data-photo-id]');
+    for (const img of images) {
+      const url = await this.getPhotoUrl(img.dataset.photoId);
+      if (url) img.src = url;
+    }
+  }
+
+  /**
+   * Delete a photo from every layer
+   */
+  async deletePhoto(photoId) {
+    if (!photoId) return;
+
+    await this.db.store.delete('photos', photoId);
+
+    if (this.urls.has(photoId)) {
+      URL.revokeObjectURL(this.urls.get(photoId));
+      this.urls.delete(photoId);
+    }
+
+    const remote = this.db.getRemoteLayer();
+    if (remote && this.db.canReachRemote()) {
+      await remote.delete('photos', photoId);
+    } else if (remote) {
+      await this.db.queueForSync('photos', photoId, null, 'delete');
+    }
+  }
+
+  /**
+   * Swap a base64 photo in record changes for a stored photo reference
+   * Replacing a photo deletes the old one
+   * @param {string} collection - 'players' or 'teams'
+   * @param {Object} changes - new record or update, may hold a legacy base64 field
+   * @param {Object} [existing] - current record, when updating
+   */
+  async storePhotoField(collection, changes, existing = null) {
+    const { legacy, ref } = PHOTO_FIELDS[collection];
+    const dataUrl = changes[legacy];
+    delete changes[legacy];
+
+    if (!this.isDataUrl(dataUrl)) return changes;
+
+    changes[ref] = await this.savePhoto(dataUrl);
+    if (existing && existing[ref]) {
+      await this.deletePhoto(existing[ref]);
+    }
+    return changes;
+  }
+
+  /**
+   * Move base64 photos still embedded in records into the photo store
+   */
+  async migrateLegacyPhotos() {
+    let moved = 0;
+
+    try {
+      for (const [collection, { legacy, ref }] of Object.entries(PHOTO_FIELDS)) {
+        const idKey = COLLECTION_KEYS[collection];
+        const records = await this.db.getAll(collection);
+        const ops = [];
+
+        for (const record of records) {
+          if (!this.isDataUrl(record[legacy])) continue;
+
+          const { [legacy]: dataUrl, ...rest } = record;
+          rest[ref] = await this.savePhoto(dataUrl);
+          ops.push({ type: 'save', collection, id: record[idKey], data: rest });
+        }
+
+        if (ops.length > 0) {
+          await this.db.transaction(ops);
+          moved += ops.length;
+        }
+      }
+
+      if (moved > 0) {
+        console.log(`📷 Moved photos out of ${moved} records`);
+      }
+    } catch (error) {
+      console.error('❌ Photo migration error:', error);
+    }
+
+    return moved;
+  }
+
+  /**
+   * Delete locally stored photos no record refers to any more
+   */
+  async removeOrphanedPhotos() {
+    const referenced = new Set();
+    for (const [collection, { ref }] of Object.entries(PHOTO_FIELDS)) {
+      const records = await this.db.getAll(collection);
+      records.forEach(record => {
+        if (record[ref]) referenced.add(record[ref]);
+      });
+    }
+
+    const photos = await this.db.store.getAll('photos');
+    const orphans = photos.filter(photo => !referenced.has(photo.photoId));
+    for (const photo of orphans) {
+      await this.db.store.delete('photos', photo.photoId);
+    }
+
+    return {
+      removed: orphans.length,
+      bytes: orphans.reduce((total, photo) => total + (photo.size || 0), 0)
+    };
+  }
+
+  /**
+   * Photos referenced by records, as data URLs (for backups)
+   */
+  async exportPhotos(records) {
+    const photos = {};
+    for (const record of records) {
+      const photoId = record.playerPhotoId || record.teamPhotoId;
+      if (!photoId || photos[photoId]) continue;
+
+      const blob = await this.getPhoto(photoId);
+      if (blob) {
+        photos[photoId] = await imageOptimizer.blobToBase64(blob);
+      }
+    }
+    return photos;
+  }
+
+  /**
+   * Restore photos from a backup under their original ids
+   */
+  async importPhotos(photos) {
+    for (const [photoId, dataUrl] of Object.entries(photos || {})) {
+      await this.putLocal(photoId, imageOptimizer.base64ToBlob(dataUrl));
+      await this.putRemote(photoId, dataUrl);
+    }
+  }
+}
+
+// Create global instance
+const photoManager = new PhotoManager();
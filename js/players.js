@@ -4,6 +4,25 @@
  */
 
 class PlayerManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   * @param {GroupManager} [options.groupManager]
+   * @param {TeamManager} [options.teamManager]
+   * @param {PhotoManager} [options.photoManager]
+   * @param {TrashManager} [options.trashManager]
+   * @param {UndoManager} [options.undoManager]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.groupManager = options.groupManager || groupManager;
+    this.teamManager = options.teamManager || teamManager;
+    this.photoManager = options.photoManager || photoManager;
+    this.trashManager = options.trashManager || trashManager;
+    this.undoManager = options.undoManager || undoManager;
+  }
+
   /**
    * Create new player
    */
@@ -20,35 +39,37 @@ class PlayerManager {
           console.warn('Photo compression failed, using original');
         }
       }
+      let { playerPhotoId } = await this.photoManager.storePhotoField('players', { playerPhoto });
 
-      // Calculate ratings
-      const ratings = ratingsCalculator.calculatePlayerRatings(
-        playerData.stats || {},
-        playerData.capBreakers || {}
-      );
-      
-      const player = {
+      // A duplicate keeps the photo of the player it copies
+      if (!playerPhotoId && playerData.playerPhotoId) {
+        playerPhotoId = await this.photoManager.copyPhoto(playerData.playerPhotoId);
+      }
+
+      // The stats are the creating member's rating (a copy keeps its raters)
+      const stats = playerData.stats || {};
+      const capBreakers = playerData.capBreakers || {};
+      const raters = playerData.raters || this.withRating({}, stats, capBreakers);
+
+      // Calculate ratings with the group's rating schema
+      const schema = await this.db.getRatingSchema({ teamId: playerData.teamId });
+      const { player, ops, previous } = await this.getRatingOps({
         playerId,
         teamId: playerData.teamId,
         playerName: playerData.playerName,
-        playerPhoto,
-        stats: playerData.stats || {},
-        capBreakers: playerData.capBreakers || {},
-        baseTotal: ratings.baseTotal,
-        capBreakerTotal: ratings.capBreakerTotal,
-        overall: ratings.overall,
-        tier: ratings.tier,
-        tierClass: ratings.tierClass,
-        rarity: ratings.rarity,
-        color: ratings.color,
-        gradient: ratings.gradient,
+        playerPhotoId: playerPhotoId || '',
+        isBody: playerData.isBody === true,
+        stats,
+        capBreakers,
+        raters,
         createdAt: Date.now(),
         updatedAt: Date.now()
-      };
+      }, schema);
 
-      await dbManager.save('players', playerId, player);
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(`Add ${player.playerName}`, ops, previous);
       
-      console.log('✅ Player created:', playerId, 'Overall:', ratings.overall);
+      console.log('✅ Player created:', playerId, 'Overall:', player.overall);
       return { success: true, player };
     } catch (error) {
       console.error('❌ Create player error:', error);
@@ -61,8 +82,8 @@ class PlayerManager {
    */
   async getPlayer(playerId) {
     try {
-      const player = await dbManager.get('players', playerId);
-      return player;
+      const player = await this.db.get('players', playerId);
+      return this.trashManager.isTrashed(player) ? null : player;
     } catch (error) {
       console.error('❌ Get player error:', error);
       return null;
@@ -74,9 +95,9 @@ class PlayerManager {
    */
   async updatePlayer(playerId, updates) {
     try {
-      const player = await dbManager.get('players', playerId);
+      const player = await this.db.get('players', playerId);
       
-      if (!player) {
+      if (!player || this.trashManager.isTrashed(player)) {
         return { success: false, error: 'Player not found' };
       }
 
@@ -89,30 +110,40 @@ class PlayerManager {
         }
       }
 
-      // Recalculate ratings if stats changed
-      if (updates.stats || updates.capBreakers) {
-        const stats = updates.stats || player.stats;
-        const capBreakers = updates.capBreakers || player.capBreakers;
-        const ratings = ratingsCalculator.calculatePlayerRatings(stats, capBreakers);
-        
-        updates.baseTotal = ratings.baseTotal;
-        updates.capBreakerTotal = ratings.capBreakerTotal;
-        updates.overall = ratings.overall;
-        updates.tier = ratings.tier;
-        updates.tierClass = ratings.tierClass;
-        updates.rarity = ratings.rarity;
-        updates.color = ratings.color;
-        updates.gradient = ratings.gradient;
+      // Store a new photo by reference (no new photo keeps the current one)
+      await this.photoManager.storePhotoField('players', updates, player);
+
+      // New stats are this member's rating - the stored stats become the
+      // raters' consensus
+      const rated = Boolean(updates.stats || updates.capBreakers);
+      if (rated) {
+        const raters = await this.getRaters(player);
+        const own = raters[this.getRaterKey(this.getRaterName())];
+        updates.raters = this.withRating(
+          raters,
+          updates.stats || (own ? own.stats : player.stats),
+          updates.capBreakers || (own ? own.capBreakers : player.capBreakers)
+        );
       }
 
-      const updatedPlayer = {
+      let updatedPlayer = {
         ...player,
         ...updates,
         playerId, // Ensure ID doesn't change
         updatedAt: Date.now()
       };
 
-      await dbManager.save('players', playerId, updatedPlayer);
+      if (rated) {
+        const schema = await this.db.getRatingSchema(updatedPlayer);
+        const result = await this.getRatingOps(updatedPlayer, schema);
+        updatedPlayer = result.player;
+
+        await this.db.transaction(result.ops);
+        this.undoManager.recordOps(`Edit ${player.playerName}`, result.ops, { ...result.previous, [playerId]: player });
+      } else {
+        await this.db.save('players', playerId, updatedPlayer);
+        this.undoManager.record(`Edit ${player.playerName}`, [{ collection: 'players', id: playerId, before: player, after: updatedPlayer }]);
+      }
       
       console.log('✅ Player updated:', playerId);
       return { success: true, player: updatedPlayer };
@@ -123,13 +154,105 @@ class PlayerManager {
   }
 
   /**
-   * Delete player
+   * Name this device's member rates under
+   */
+  getRaterName() {
+    return this.groupManager.getMemberName() || 'Anonymous';
+  }
+
+  /**
+   * Key of a member's entry in player.raters (member names can hold
+   * characters Firebase keys can't)
+   */
+  getRaterKey(memberName) {
+    return String(memberName).trim().replace(/[^a-zA-Z0-9-]/g, char => `_${char.charCodeAt(0).toString(16)}`);
+  }
+
+  /**
+   * Raters with this device's member's rating set
+   */
+  withRating(raters, stats, capBreakers) {
+    const member = this.getRaterName();
+    const current = raters[this.getRaterKey(member)];
+    return {
+      ...raters,
+      [this.getRaterKey(member)]: { ...current, member, stats: { ...stats }, capBreakers: { ...capBreakers }, ratedAt: Date.now() }
+    };
+  }
+
+  /**
+   * A player's raters. Players rated before raters were kept get their
+   * stats as one rating, by whoever added them
+   */
+  async getRaters(player) {
+    if (player.raters && Object.keys(player.raters).length > 0) return player.raters;
+
+    const history = await this.db.getHistory('players', player.playerId);
+    const created = history.find(entry => entry.created);
+    const member = created && created.author ? created.author : 'Original rating';
+    return {
+      [this.getRaterKey(member)]: {
+        member,
+        stats: { ...(player.stats || {}) },
+        capBreakers: { ...(player.capBreakers || {}) },
+        ratedAt: player.createdAt || player.updatedAt || Date.now()
+      }
+    };
+  }
+
+  /**
+   * Save ops for a player whose raters changed. With normalization on, a new
+   * rating moves its member's bias, so the rest of the group is re-rated too
+   * @returns {Promise<{player, ops, previous}>} player: rated; previous: the
+   *   other players as they were
+   */
+  async getRatingOps(player, schema = null) {
+    const save = (data) => ({ type: 'save', collection: 'players', id: data.playerId, data });
+
+    if (!ratingsCalculator.getConsensus(schema).normalize) {
+      const rated = ratingsCalculator.ratePlayer(player, schema);
+      return { player: rated, ops: [save(rated)], previous: {} };
+    }
+
+    const team = await this.db.get('teams', player.teamId);
+    const others = team && team.groupId
+      ? (await this.groupManager.getGroupPlayers(team.groupId)).filter(other => other.playerId !== player.playerId)
+      : [];
+    const biases = ratingsCalculator.getRaterBiases([...others, player], schema);
+
+    const rated = ratingsCalculator.ratePlayer(player, schema, biases);
+    const ops = [save(rated)];
+    const previous = {};
+    others.forEach(other => {
+      const updated = ratingsCalculator.ratePlayer(other, schema, biases);
+      // Only a moved bias or consensus counts (Firebase drops empty lists)
+      const changed = this.db.diffRecords(other, updated)
+        .some(change => ['raters', 'stats', 'capBreakers'].includes(change.field.split('.')[0]));
+      if (changed) {
+        ops.push(save(updated));
+        previous[other.playerId] = other;
+      }
+    });
+
+    return { player: rated, ops, previous };
+  }
+
+  /**
+   * Delete player (moves it to the trash)
    */
   async deletePlayer(playerId) {
     try {
-      await dbManager.delete('players', playerId);
+      const player = await this.db.get('players', playerId);
+      
+      if (!player || this.trashManager.isTrashed(player)) {
+        return { success: false, error: 'Player not found' };
+      }
+
+      const ops = [this.trashManager.trashOp('players', playerId, player, Date.now())];
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(`Delete ${player.playerName}`, ops, { [playerId]: player });
       
-      console.log('✅ Player deleted:', playerId);
+      console.log('✅ Player trashed:', playerId);
       return { success: true };
     } catch (error) {
       console.error('❌ Delete player error:', error);
@@ -142,7 +265,8 @@ class PlayerManager {
    */
   async getPlayersByTeam(teamId) {
     try {
-      const players = await dbManager.query('players', player => player.teamId === teamId);
+      const players = (await this.db.queryBy('players', 'teamId', teamId))
+        .filter(player => !this.trashManager.isTrashed(player));
       
       // Sort by overall rating (descending)
       players.sort((a, b) => b.overall - a.overall);
@@ -159,7 +283,8 @@ class PlayerManager {
    */
   async getAllPlayers() {
     try {
-      const players = await dbManager.getAll('players');
+      const players = (await this.db.getAll('players'))
+        .filter(player => !this.trashManager.isTrashed(player));
       players.sort((a, b) => b.overall - a.overall);
       return players;
     } catch (error) {
@@ -169,57 +294,252 @@ class PlayerManager {
   }
 
   /**
-   * Search players
+   * Search players by name or tier, or with the query syntax (see parseQuery)
    */
   async searchPlayers(query, teamId = null) {
+    return this.queryPlayers({ ...this.parseQuery(query || ''), teamId });
+  }
+
+  /**
+   * Get players by tier
+   */
+  async getPlayersByTier(tier, teamId = null) {
+    return this.queryPlayers({ tiers: [tier], teamId });
+  }
+
+  /**
+   * Get top players
+   */
+  async getTopPlayers(limit = 10, teamId = null) {
+    return this.queryPlayers({ teamId, limit });
+  }
+
+  /**
+   * Find players matching a query, sorted (best overall first by default)
+   * @param {Object|string} query - query syntax text, or:
+   * @param {string} [query.text] - name or tier contains this
+   * @param {string} [query.teamId] - players of one team...
+   * @param {string} [query.groupId] - ...or of one group's teams
+   * @param {string} [query.team] - team id or name (case-insensitive)
+   * @param {string[]} [query.tiers] - tier names, any of
+   * @param {string[]} [query.rarities] - rarities, any of
+   * @param {boolean} [query.isBody]
+   * @param {Array<{field, op, value}>} [query.conditions] - comparisons on
+   *   overall, baseTotal, capBreakerTotal or a stat/cap breaker slider value,
+   *   op one of >= <= > < = !=
+   * @param {string} [query.sortBy] - any query field, or playerName, tier,
+   *   rarity, createdAt, updatedAt
+   * @param {string} [query.sortOrder] - 'asc' or 'desc'
+   * @param {number} [query.limit]
+   */
+  async queryPlayers(query = {}) {
     try {
-      let players = teamId 
-        ? await this.getPlayersByTeam(teamId)
-        : await this.getAllPlayers();
+      if (typeof query === 'string') query = this.parseQuery(query);
+
+      let players;
+      if (query.teamId) {
+        players = await this.getPlayersByTeam(query.teamId);
+      } else if (query.groupId) {
+        players = [];
+        for (const team of await this.teamManager.getTeamsByGroup(query.groupId)) {
+          players.push(...await this.getPlayersByTeam(team.teamId));
+        }
+      } else {
+        players = await this.getAllPlayers();
+      }
+
+      if (query.team) {
+        const teams = query.groupId ? await this.teamManager.getTeamsByGroup(query.groupId) : await this.teamManager.getAllTeams();
+        const name = query.team.toLowerCase();
+        const teamIds = teams
+          .filter(team => team.teamId === query.team || team.teamName.toLowerCase() === name)
+          .map(team => team.teamId);
+        players = players.filter(player => teamIds.includes(player.teamId));
+      }
 
-      if (!query) return players;
+      if (query.text) {
+        const text = query.text.toLowerCase();
+        players = players.filter(player =>
+          player.playerName.toLowerCase().includes(text) ||
+          player.tier.toLowerCase().includes(text)
+        );
+      }
 
-      query = query.toLowerCase();
-      return players.filter(player => 
-        player.playerName.toLowerCase().includes(query) ||
-        player.tier.toLowerCase().includes(query)
-      );
+      const normalize = (value) => String(value).toLowerCase().replace(/[\s_-]/g, '');
+      if (query.tiers && query.tiers.length > 0) {
+        const tiers = query.tiers.map(normalize);
+        players = players.filter(player => tiers.includes(normalize(player.tier)));
+      }
+      if (query.rarities && query.rarities.length > 0) {
+        const rarities = query.rarities.map(normalize);
+        players = players.filter(player => rarities.includes(normalize(player.rarity)));
+      }
+      if (typeof query.isBody === 'boolean') {
+        players = players.filter(player => (player.isBody === true) === query.isBody);
+      }
+
+      (query.conditions || []).forEach(({ field, op, value }) => {
+        players = players.filter(player => this.compareQueryValue(this.getQueryValue(player, field), op, value));
+      });
+
+      const sortBy = query.sortBy || 'overall';
+      const direction = query.sortOrder === 'asc' ? 1 : -1;
+      players.sort((a, b) => {
+        const x = this.getQueryValue(a, sortBy);
+        const y = this.getQueryValue(b, sortBy);
+        const order = typeof x === 'string' || typeof y === 'string'
+          ? String(x).localeCompare(String(y))
+          : x - y;
+        return order * direction;
+      });
+
+      return query.limit ? players.slice(0, query.limit) : players;
     } catch (error) {
-      console.error('❌ Search players error:', error);
+      console.error('❌ Query players error:', error);
       return [];
     }
   }
 
   /**
-   * Get players by tier
+   * Parse the query syntax into a query for queryPlayers, e.g.
+   *   tier:diamond overall>85 personality>=80 sort:fitness
+   *
+   * - field:value - tier, rarity (comma-separated for any of), team (id or
+   *   name), body (yes/no), sort (a field), order (asc/desc), limit
+   * - field<op>number - op one of >= <= > < = != on overall, baseTotal,
+   *   capBreakerTotal, or a stat/cap breaker of the rating schema (its 0-100
+   *   slider value)
+   * - anything else matches the name or tier; quote values with spaces
+   *   (tier:"pink diamond")
+   *
+   * Unknown fields and bad values are listed in `errors` and ignored.
+   * @param {Object} [schema] - rating schema whose stats can be used
    */
-  async getPlayersByTier(tier, teamId = null) {
-    try {
-      let players = teamId 
-        ? await this.getPlayersByTeam(teamId)
-        : await this.getAllPlayers();
+  parseQuery(text, schema = null) {
+    const query = { text: '', tiers: [], rarities: [], conditions: [], errors: [] };
+    const words = [];
+    const tokens = String(text).match(/(?:"[^"]*"|[^\s"])+/g) || [];
+    const unquote = (value) => value.replace(/"/g, '');
+    const list = (value) => (value.match(/"[^"]*"|[^,"]+/g) || []).map(unquote);
+
+    tokens.forEach(token => {
+      const match = token.match(/^(\w+)(>=|<=|!=|:|>|<|=)(.+)$/);
+      if (!match) {
+        words.push(unquote(token));
+        return;
+      }
 
-      return players.filter(player => player.tier === tier);
-    } catch (error) {
-      console.error('❌ Get players by tier error:', error);
-      return [];
+      const [, key, op, rawValue] = match;
+      const field = key.toLowerCase();
+      const value = unquote(rawValue);
+
+      if (op === ':' && field === 'tier') {
+        query.tiers.push(...list(rawValue));
+      } else if (op === ':' && field === 'rarity') {
+        query.rarities.push(...list(rawValue));
+      } else if (op === ':' && field === 'team') {
+        query.team = value;
+      } else if (op === ':' && field === 'body') {
+        if (['yes', 'true', '1'].includes(value.toLowerCase())) query.isBody = true;
+        else if (['no', 'false', '0'].includes(value.toLowerCase())) query.isBody = false;
+        else query.errors.push(`body must be yes or no, not "${value}"`);
+      } else if (op === ':' && field === 'sort') {
+        const sortBy = this.resolveQueryField(value, true, schema);
+        if (sortBy) query.sortBy = sortBy;
+        else query.errors.push(`Can't sort by "${value}"`);
+      } else if (op === ':' && field === 'order') {
+        if (['asc', 'desc'].includes(value.toLowerCase())) query.sortOrder = value.toLowerCase();
+        else query.errors.push(`order must be asc or desc, not "${value}"`);
+      } else if (op === ':' && field === 'limit') {
+        const limit = parseInt(value);
+        if (limit > 0) query.limit = limit;
+        else query.errors.push(`limit must be a positive number, not "${value}"`);
+      } else {
+        const conditionField = this.resolveQueryField(key, false, schema);
+        const number = parseFloat(value);
+        if (!conditionField) {
+          query.errors.push(`Unknown field "${key}"`);
+        } else if (isNaN(number)) {
+          query.errors.push(`${key} needs a number, not "${value}"`);
+        } else {
+          query.conditions.push({ field: conditionField, op: op === ':' ? '=' : op, value: number });
+        }
+      }
+    });
+
+    query.text = words.join(' ');
+    return query;
+  }
+
+  /**
+   * Canonical name of a query field (case-insensitive), or null
+   * @param {boolean} [sortable] - also allow the text/date fields
+   */
+  resolveQueryField(name, sortable = false, schema = null) {
+    const fields = [
+      'overall', 'baseTotal', 'capBreakerTotal',
+      ...Object.keys(ratingsCalculator.getBaseWeights(schema)),
+      ...Object.keys(ratingsCalculator.getCapBreakerWeights(schema)),
+      ...(sortable ? ['playerName', 'tier', 'rarity', 'createdAt', 'updatedAt'] : [])
+    ];
+    const aliases = { name: 'playerName', ovr: 'overall' };
+    const wanted = aliases[name.toLowerCase()] || name;
+    return fields.find(field => field.toLowerCase() === wanted.toLowerCase()) || null;
+  }
+
+  getQueryValue(player, field) {
+    if (player.stats && field in player.stats) return parseInt(player.stats[field]) || 0;
+    if (player.capBreakers && field in player.capBreakers) return parseInt(player.capBreakers[field]) || 0;
+    const value = player[field];
+    return typeof value === 'string' ? value : (value || 0);
+  }
+
+  compareQueryValue(actual, op, value) {
+    switch (op) {
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case '!=': return actual !== value;
+      default: return actual === value;
     }
   }
 
   /**
-   * Get top players
+   * Named queries saved on this device, oldest first
    */
-  async getTopPlayers(limit = 10, teamId = null) {
-    try {
-      let players = teamId 
-        ? await this.getPlayersByTeam(teamId)
-        : await this.getAllPlayers();
+  getSavedQueries() {
+    return storage.get('savedPlayerQueries', []);
+  }
 
-      return players.slice(0, limit);
-    } catch (error) {
-      console.error('❌ Get top players error:', error);
-      return [];
+  saveQuery(name, text, schema = null) {
+    if (!name || !name.trim()) {
+      return { success: false, error: 'Name is required' };
+    }
+
+    const { errors } = this.parseQuery(text, schema);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(', ') };
     }
+
+    // Saving under an existing name replaces that query
+    const saved = { queryId: generateId('query'), name: name.trim(), text: text.trim(), createdAt: Date.now() };
+    const queries = this.getSavedQueries().filter(query => query.name.toLowerCase() !== saved.name.toLowerCase());
+    storage.set('savedPlayerQueries', [...queries, saved]);
+    return { success: true, query: saved };
+  }
+
+  deleteSavedQuery(queryId) {
+    storage.set('savedPlayerQueries', this.getSavedQueries().filter(query => query.queryId !== queryId));
+    return { success: true };
+  }
+
+  /**
+   * Subscribe to changes to one player
+   * @returns {Function} unsubscribe
+   */
+  onPlayerChange(playerId, callback) {
+    return this.db.subscribe('players', { playerId }, callback);
   }
 
   /**
@@ -231,9 +551,10 @@ class PlayerManager {
       
       if (!player) return null;
 
-      const tierInfo = ratingsCalculator.getTier(player.overall);
-      const tierProgress = ratingsCalculator.getTierProgress(player.overall);
-      const nextTier = ratingsCalculator.getNextTier(player.overall);
+      const schema = await this.db.getRatingSchema(player);
+      const tierInfo = ratingsCalculator.getTier(player.overall, schema);
+      const tierProgress = ratingsCalculator.getTierProgress(player.overall, schema);
+      const nextTier = ratingsCalculator.getNextTier(player.overall, schema);
 
       return {
         ...player,
@@ -247,6 +568,199 @@ class PlayerManager {
     }
   }
 
+  /**
+   * Where a player ranks by overall and by each stat's slider value among the
+   * players of their team, their group and their tier (within the group)
+   * @returns {null|{playerId, team, group, tier}} each scope (null if the
+   *   player has no group): { name, size, overall, stats: {key: rank},
+   *   capBreakers: {key: rank} }, each rank as rankAmong gives it
+   */
+  async getPercentiles(playerId) {
+    try {
+      const player = await this.getPlayer(playerId);
+      if (!player) return null;
+
+      const team = await this.db.get('teams', player.teamId);
+      const group = team && team.groupId ? await this.db.get('groups', team.groupId) : null;
+      const { baseStats, capBreakers } = ratingsCalculator.getSchema(group ? group.ratingSchema : null);
+
+      const teamPlayers = await this.getPlayersByTeam(player.teamId);
+      const groupPlayers = group ? await this.queryPlayers({ groupId: group.groupId }) : null;
+
+      const scope = (name, peers) => {
+        // A trashed player still ranks against the rest
+        if (!peers.some(peer => peer.playerId === player.playerId)) peers = [...peers, player];
+
+        const ranks = (statList, field) => {
+          const result = {};
+          statList.forEach(({ key }) => {
+            const valueOf = (p) => parseInt((p[field] || {})[key]) || 0;
+            result[key] = this.rankAmong(valueOf(player), peers.map(valueOf));
+          });
+          return result;
+        };
+
+        return {
+          name,
+          size: peers.length,
+          overall: this.rankAmong(player.overall, peers.map(peer => peer.overall)),
+          stats: ranks(baseStats, 'stats'),
+          capBreakers: ranks(capBreakers, 'capBreakers')
+        };
+      };
+
+      return {
+        playerId,
+        team: scope(team ? team.teamName : 'Team', teamPlayers),
+        group: group ? scope(group.groupName, groupPlayers) : null,
+        tier: group ? scope(player.tier, groupPlayers.filter(peer => peer.tier === player.tier)) : null
+      };
+    } catch (error) {
+      console.error('❌ Get percentiles error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Rank a value among values (which include it), higher is better
+   * @returns {{value, rank, of, below, percentile, top}} percentile: share
+   *   of values below it (ties count half); top: the "Top X%" its rank is in
+   */
+  rankAmong(value, values) {
+    const above = values.filter(other => other > value).length;
+    const below = values.filter(other => other < value).length;
+    const ties = values.length - above - below;
+
+    return {
+      value,
+      rank: above + 1,
+      of: values.length,
+      below,
+      percentile: Math.round(((below + ties / 2) / values.length) * 100),
+      top: Math.ceil(((above + 1) / values.length) * 100)
+    };
+  }
+
+  /**
+   * Get how a player's overall and tier changed over time, oldest first
+   * Each point: { timestamp, author, overall, tier, previousOverall, previousTier }
+   * (author is null for the starting point of players rated before history was kept)
+   */
+  async getRatingHistory(playerId) {
+    try {
+      const player = await this.db.get('players', playerId);
+      if (!player) return [];
+
+      const entries = await this.db.getHistory('players', playerId);
+      const points = [];
+      let current = null;
+
+      for (const entry of entries) {
+        const overall = entry.changes.find(change => change.field === 'overall');
+        const tier = entry.changes.find(change => change.field === 'tier');
+        if (!overall && !tier) continue;
+
+        // Rated before history was kept - start from the first recorded "before"
+        if (!current && !entry.created) {
+          current = {
+            overall: overall ? overall.from : player.overall,
+            tier: tier ? tier.from : player.tier
+          };
+          points.push({
+            timestamp: player.createdAt || entry.timestamp,
+            author: null,
+            ...current,
+            previousOverall: null,
+            previousTier: null
+          });
+        }
+
+        const previous = current || { overall: null, tier: null };
+        current = {
+          overall: overall ? overall.to : previous.overall,
+          tier: tier ? tier.to : previous.tier
+        };
+        points.push({
+          timestamp: entry.timestamp,
+          author: entry.author,
+          ...current,
+          previousOverall: previous.overall,
+          previousTier: previous.tier
+        });
+      }
+
+      if (points.length === 0) {
+        points.push({
+          timestamp: player.createdAt || player.updatedAt,
+          author: null,
+          overall: player.overall,
+          tier: player.tier,
+          previousOverall: null,
+          previousTier: null
+        });
+      }
+
+      return points;
+    } catch (error) {
+      console.error('❌ Get rating history error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Recalculate every player whose ratings came from an older formula
+   * (including trashed ones, so a restore brings back current ratings),
+   * with their group's rating schema, in one transaction. Players saved
+   * before versioning are read with their weighted points already converted
+   * to 0-100 values (schema migration v2), so they keep their rating
+   * @param {Object} [options]
+   * @param {boolean} [options.all] - recalculate every player, stale or not
+   * @returns {{success, recomputed, tierChanges: Array<{playerId, playerName, from, to, previousOverall, overall}>}}
+   */
+  async recomputeRatings({ all = false } = {}) {
+    try {
+      const [players, teams, groups] = await Promise.all(
+        ['players', 'teams', 'groups'].map(collection => this.db.getAll(collection))
+      );
+      const teamsById = new Map(teams.map(team => [team.teamId, team]));
+      const groupsById = new Map(groups.map(group => [group.groupId, group]));
+
+      const ops = [];
+      const tierChanges = [];
+
+      players
+        .filter(player => all || ratingsCalculator.isStale(player))
+        .forEach(player => {
+          const team = teamsById.get(player.teamId);
+          const group = team ? groupsById.get(team.groupId) : null;
+          const ratings = ratingsCalculator.ratePlayer(player, group ? group.ratingSchema : null);
+
+          ops.push({ type: 'save', collection: 'players', id: player.playerId, data: ratings });
+          if (ratings.tier !== player.tier) {
+            tierChanges.push({
+              playerId: player.playerId,
+              playerName: player.playerName,
+              from: player.tier,
+              to: ratings.tier,
+              previousOverall: player.overall,
+              overall: ratings.overall
+            });
+          }
+        });
+
+      if (ops.length > 0) {
+        await this.db.transaction(ops);
+        console.log(`🔄 Recalculated ${ops.length} players (formula v${ratingsCalculator.getFormulaVersion()}), ${tierChanges.length} changed tier`);
+      }
+      tierChanges.forEach(change => console.log(`   ${change.playerName}: ${change.from} → ${change.to}`));
+
+      return { success: true, recomputed: ops.length, tierChanges };
+    } catch (error) {
+      console.error('❌ Recompute ratings error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Duplicate player (for testing)
    */
@@ -274,6 +788,33 @@ class PlayerManager {
     }
   }
 
+  /**
+   * Save a player's slider values as an archetype template of their group
+   */
+  async createTemplateFromPlayer(playerId, name) {
+    try {
+      const player = await this.getPlayer(playerId);
+
+      if (!player) {
+        return { success: false, error: 'Player not found' };
+      }
+
+      const team = await this.db.get('teams', player.teamId);
+      if (!team || !team.groupId) {
+        return { success: false, error: 'Player has no group' };
+      }
+
+      return await this.groupManager.saveTemplate(team.groupId, {
+        name,
+        stats: player.stats,
+        capBreakers: player.capBreakers
+      });
+    } catch (error) {
+      console.error('❌ Create template from player error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Bulk create players
    */
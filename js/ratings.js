@@ -1,7 +1,11 @@
 /**
  * NBA 2K-Style Rating Calculation Engine
  * 
- * All slider inputs are 0-100, converted to weighted points.
+ * All slider inputs are 0-100, converted to weighted points - linearly unless
+ * the stat has a scoring curve (stat.curve, see CURVE_TYPES).
+ * 
+ * Each group can define its own stats, labels and weights (group.ratingSchema,
+ * shaped like DEFAULT_RATING_SCHEMA). The default schema:
  * 
  * Base Stats (0-100 total weighted):
  * - Face (weight: 15), Eyes (weight: 5), Hair (weight: 5), Top (weight: 5), Bottom (weight: 5)
@@ -13,9 +17,16 @@
  * - Into You (weight: 1), Comfort (weight: 3)
  * 
  * Overall = Base Total + Cap Breaker Total (Max 109)
+ * 
+ * Tiers: groups can replace the ladder below with their own bands
+ * (ratingSchema.tiers); bands must cover 0 to the maximum overall.
+ *
+ * Raters: each member can rate a player (player.raters); the stored stats are
+ * their consensus (ratingSchema.consensus, see CONSENSUS_METHODS).
  */
 
-// Tier thresholds and styling
+// Tier thresholds and styling - the ladder groups get unless their rating
+// schema has its own (ratingSchema.tiers), highest first
 const TIER_THRESHOLDS = [
   { 
     name: 'Dark Matter', 
@@ -118,143 +129,490 @@ const TIER_THRESHOLDS = [
   }
 ];
 
-// Base stat limits
-const BASE_STATS = {
-  face: { min: 0, max: 15, label: 'Face' },
-  eyes: { min: 0, max: 5, label: 'Eyes' },
-  hair: { min: 0, max: 5, label: 'Hair' },
-  top: { min: 0, max: 5, label: 'Top' },
-  bottom: { min: 0, max: 5, label: 'Bottom' },
-  fitness: { min: 0, max: 15, label: 'Fitness' },
-  history: { min: 0, max: 10, label: 'History' },
-  personality: { min: 0, max: 20, label: 'Personality' },
-  tolerance: { min: 0, max: 10, label: 'Tolerance' },
-  substances: { min: 0, max: 10, label: 'Substances' }
+// Rating schema groups get unless they define their own (group.ratingSchema)
+// Each stat's weight is the most points it can add to the overall
+const DEFAULT_RATING_SCHEMA = {
+  maxOverall: 109,
+  baseStats: [
+    { key: 'face', label: 'Face', weight: 15 },
+    { key: 'eyes', label: 'Eyes', weight: 5 },
+    { key: 'hair', label: 'Hair', weight: 5 },
+    { key: 'top', label: 'Top', weight: 5 },
+    { key: 'bottom', label: 'Bottom', weight: 5 },
+    { key: 'fitness', label: 'Fitness', weight: 15 },
+    { key: 'history', label: 'History', weight: 10 },
+    { key: 'personality', label: 'Personality', weight: 20 },
+    { key: 'tolerance', label: 'Tolerance', weight: 10 },
+    { key: 'substances', label: 'Substances', weight: 10 }
+  ],
+  capBreakers: [
+    { key: 'athletic', label: 'Athletic/Build', weight: 2 },
+    { key: 'height', label: 'Height', weight: 1 },
+    { key: 'attractiveness', label: 'Attractiveness', weight: 2 },
+    { key: 'intoYou', label: 'Into You', weight: 1 },
+    { key: 'comfort', label: 'Comfort', weight: 3 }
+  ]
 };
 
-// Cap breaker limits
-const CAP_BREAKERS = {
-  athletic: { min: 0, max: 2, label: 'Athletic/Build' },
-  height: { min: 0, max: 1, label: 'Height' },
-  attractiveness: { min: 0, max: 2, label: 'Attractiveness' },
-  intoYou: { min: 0, max: 1, label: 'Into You' },
-  comfort: { min: 0, max: 3, label: 'Comfort' }
+// Version of the rating calculation - players stamped with an older one
+// (ratingVersion) are recalculated on startup. Bump it whenever the formula,
+// the default schema or the default tiers change.
+const RATING_FORMULA_VERSION = 2;
+
+// Tier names and rarities end up in class names and markup
+const TIER_TEXT_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9 '.-]*$/;
+const TIER_GRADIENT_PATTERN = /^(linear|radial)-gradient\([a-zA-Z0-9#%.,\s()-]+\)$/;
+
+// Stat keys the player search syntax already uses for other things
+const RESERVED_STAT_KEYS = [
+  'overall', 'ovr', 'baseTotal', 'capBreakerTotal', 'tier', 'rarity', 'team', 'body',
+  'sort', 'order', 'limit', 'name', 'playerName', 'createdAt', 'updatedAt'
+];
+
+// Scoring curves - how a stat's 0-100 slider value turns into a share of its
+// weight (stat.curve, linear when unset). Every curve gives nothing at 0 and
+// the full weight at 100, so curves reshape scores without changing weights.
+//   exponential: { steepness } - above 0 the top end is hard to reach, below 0 the bottom end
+//   logistic:    { midpoint, steepness } - an S-curve, steepest at midpoint (0-100)
+//   piecewise:   { points: [{x, y}] } - straight lines between points, x the
+//                slider value and y the percent of the weight, from {0,0} to {100,100}
+const CURVE_TYPES = ['linear', 'exponential', 'logistic', 'piecewise'];
+const DEFAULT_CURVES = {
+  linear: { type: 'linear' },
+  exponential: { type: 'exponential', steepness: 3 },
+  logistic: { type: 'logistic', midpoint: 60, steepness: 10 },
+  piecewise: { type: 'piecewise', points: [{ x: 0, y: 0 }, { x: 50, y: 25 }, { x: 90, y: 70 }, { x: 100, y: 100 }] }
 };
 
-const MAX_BASE_TOTAL = 100;
-const MAX_CAP_BREAKER_TOTAL = 9;
-const MAX_OVERALL = 109;
+// Consensus - how a player's stored stats combine each member's own rating
+// (player.raters), set per group (ratingSchema.consensus)
+//   method: mean, median or trimmed (the mean without the highest and lowest
+//           fifth, at least one each, once there are 3 or more raters)
+//   normalize: correct for members who rate consistently high or low
+//   disputeSpread: a stat whose ratings spread (standard deviation, in slider
+//                  points) reaches this marks the player as disputed
+const CONSENSUS_METHODS = ['mean', 'median', 'trimmed'];
+const DEFAULT_CONSENSUS = { method: 'mean', normalize: false, disputeSpread: 20 };
+
+// Comparisons with other raters a member needs before their bias is corrected
+const MIN_BIAS_SAMPLES = 5;
 
 class RatingsCalculator {
+  constructor() {
+    // Schema JSON -> usable schema, so each distinct schema is validated once
+    this.resolvedSchemas = new Map();
+    this.defaultSchema = null;
+  }
+
+  /**
+   * Get a usable rating schema: the given one if valid, otherwise the default
+   * (schemas are stored as arrays so their order survives Firebase)
+   * Runs for every rated player, so results are cached by the schema's
+   * content - group records are read fresh, so the same schema arrives as a
+   * new object each time. Cached schemas are shared and frozen: copy one
+   * before changing it.
+   */
+  getSchema(schema = null) {
+    if (!schema) return this.getSharedDefaultSchema();
+
+    const key = JSON.stringify(schema);
+    if (!this.resolvedSchemas.has(key)) {
+      const { valid, errors } = this.validateSchema(schema);
+      if (!valid) {
+        console.warn('⚠️ Invalid rating schema, using the default:', errors.join('; '));
+      }
+      this.resolvedSchemas.set(key, valid ? deepFreeze(deepClone(schema)) : this.getSharedDefaultSchema());
+    }
+    return this.resolvedSchemas.get(key);
+  }
+
+  getSharedDefaultSchema() {
+    if (!this.defaultSchema) {
+      this.defaultSchema = deepFreeze(this.getDefaultSchema());
+    }
+    return this.defaultSchema;
+  }
+
+  getDefaultSchema() {
+    return deepClone(DEFAULT_RATING_SCHEMA);
+  }
+
+  /**
+   * Check a rating schema
+   * - at least one base stat; cap breakers are optional
+   * - keys: unique, start with a letter, letters and digits only
+   * - every stat has a label and a positive weight
+   * - the weights add up to maxOverall
+   * - scoring curves and consensus settings, where set, are valid
+   */
+  validateSchema(schema) {
+    const errors = [];
+
+    if (!schema || typeof schema !== 'object') {
+      return { valid: false, errors: ['Schema is missing'] };
+    }
+
+    const maxOverall = Number(schema.maxOverall);
+    if (!(maxOverall > 0)) {
+      errors.push('Maximum overall must be a positive number');
+    }
+
+    const baseStats = Array.isArray(schema.baseStats) ? schema.baseStats : [];
+    const capBreakers = Array.isArray(schema.capBreakers) ? schema.capBreakers : [];
+    if (baseStats.length === 0) {
+      errors.push('Add at least one base stat');
+    }
+
+    const seen = new Set();
+    [...baseStats, ...capBreakers].forEach(stat => {
+      const key = stat && stat.key;
+      if (!key || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(key)) {
+        errors.push(`Stat key "${key || ''}" must start with a letter and use only letters and digits`);
+      } else if (seen.has(key.toLowerCase())) {
+        errors.push(`Stat key "${key}" is used twice`);
+      } else if (RESERVED_STAT_KEYS.some(reserved => reserved.toLowerCase() === key.toLowerCase())) {
+        errors.push(`Stat key "${key}" is reserved`);
+      }
+      if (key) seen.add(key.toLowerCase());
+
+      if (!stat || !stat.label || !String(stat.label).trim()) {
+        errors.push(`Stat "${key || ''}" needs a label`);
+      }
+      if (!stat || !(Number(stat.weight) > 0)) {
+        errors.push(`Stat "${key || ''}" needs a positive weight`);
+      }
+      if (stat && stat.curve) {
+        errors.push(...this.validateCurve(stat.curve).map(error => `Stat "${key || ''}": ${error}`));
+      }
+    });
+
+    const total = [...baseStats, ...capBreakers].reduce((sum, stat) => sum + (Number(stat && stat.weight) || 0), 0);
+    if (maxOverall > 0 && Math.abs(total - maxOverall) > 0.001) {
+      errors.push(`Weights add up to ${Math.round(total * 100) / 100}, not the maximum overall of ${maxOverall}`);
+    }
+
+    if (schema.tiers) {
+      errors.push(...this.validateTiers(schema.tiers, maxOverall).errors);
+    }
+    if (schema.consensus) {
+      errors.push(...this.validateConsensus(schema.consensus));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check consensus settings (see CONSENSUS_METHODS)
+   * @returns {string[]} errors
+   */
+  validateConsensus(consensus) {
+    if (!consensus || typeof consensus !== 'object') {
+      return ['Consensus settings are missing'];
+    }
+
+    const errors = [];
+    if ('method' in consensus && !CONSENSUS_METHODS.includes(consensus.method)) {
+      errors.push(`Consensus must be one of ${CONSENSUS_METHODS.join(', ')}`);
+    }
+    if ('normalize' in consensus && typeof consensus.normalize !== 'boolean') {
+      errors.push('Normalize must be on or off');
+    }
+    if ('disputeSpread' in consensus && !(Number(consensus.disputeSpread) >= 1 && Number(consensus.disputeSpread) <= 100)) {
+      errors.push('Dispute spread must be between 1 and 100');
+    }
+    return errors;
+  }
+
+  /**
+   * Check a scoring curve (see CURVE_TYPES)
+   * - steepness: exponential non-zero, up to 20 either way; logistic 1-50
+   * - piecewise points: x rising from 0 to 100, y never falling from 0 to 100
+   * @returns {string[]} errors
+   */
+  validateCurve(curve) {
+    if (!curve || typeof curve !== 'object' || !CURVE_TYPES.includes(curve.type)) {
+      return [`Curve must be one of ${CURVE_TYPES.join(', ')}`];
+    }
+
+    const errors = [];
+    const steepness = Number(curve.steepness);
+    if (curve.type === 'exponential' && !(steepness !== 0 && Math.abs(steepness) <= 20)) {
+      errors.push('Exponential steepness must be between -20 and 20, and not 0');
+    }
+    if (curve.type === 'logistic') {
+      if (!(steepness >= 1 && steepness <= 50)) {
+        errors.push('Logistic steepness must be between 1 and 50');
+      }
+      const midpoint = Number(curve.midpoint);
+      if (!(midpoint >= 0 && midpoint <= 100)) {
+        errors.push('Logistic midpoint must be between 0 and 100');
+      }
+    }
+    if (curve.type === 'piecewise') {
+      const points = Array.isArray(curve.points) ? curve.points : [];
+      const numbers = points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y));
+      if (points.length < 2 || !numbers) {
+        errors.push('Piecewise curve needs at least two points with numeric x and y');
+      } else {
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first.x !== 0 || first.y !== 0 || last.x !== 100 || last.y !== 100) {
+          errors.push('Piecewise curve must run from 0:0 to 100:100');
+        }
+        for (let i = 1; i < points.length; i++) {
+          if (points[i].x <= points[i - 1].x) {
+            errors.push('Piecewise points must have rising x values');
+            break;
+          }
+          if (points[i].y < points[i - 1].y) {
+            errors.push('Piecewise points must not go down');
+            break;
+          }
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Check a tier ladder against the schema's maximum overall
+   * - at least one tier; names unique
+   * - names and rarities: letters, digits, spaces and - ' . only
+   * - colors are #rrggbb; gradients are optional CSS linear/radial gradients
+   * - whole-number bands that, lowest first, start at 0 and end at the
+   *   maximum overall with no gaps or overlaps
+   */
+  validateTiers(tiers, maxOverall = DEFAULT_RATING_SCHEMA.maxOverall) {
+    const errors = [];
+
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      return { valid: false, errors: ['Add at least one tier'] };
+    }
+
+    const seen = new Set();
+    tiers.forEach(tier => {
+      const name = tier && typeof tier.name === 'string' ? tier.name.trim() : '';
+      if (!name || !TIER_TEXT_PATTERN.test(name)) {
+        errors.push(`Tier name "${name}" must use only letters, digits, spaces and - ' .`);
+      } else if (seen.has(name.toLowerCase())) {
+        errors.push(`Tier "${name}" is used twice`);
+      }
+      seen.add(name.toLowerCase());
+
+      if (!tier || !Number.isInteger(tier.min) || !Number.isInteger(tier.max) || tier.min > tier.max) {
+        errors.push(`Tier "${name}" needs whole-number bounds with min at most max`);
+      }
+      if (!tier || typeof tier.rarity !== 'string' || !TIER_TEXT_PATTERN.test(tier.rarity.trim())) {
+        errors.push(`Tier "${name}" needs a rarity label`);
+      }
+      if (!tier || !/^#[0-9a-fA-F]{6}$/.test(tier.color || '')) {
+        errors.push(`Tier "${name}" needs a color like #ff00ff`);
+      }
+      if (tier && tier.gradient && !TIER_GRADIENT_PATTERN.test(tier.gradient)) {
+        errors.push(`Tier "${name}" gradient must be a linear-gradient(...) or radial-gradient(...)`);
+      }
+    });
+
+    if (errors.length > 0) return { valid: false, errors };
+
+    // Bands, lowest first
+    const bands = tiers.slice().sort((a, b) => a.min - b.min);
+    if (bands[0].min !== 0) {
+      errors.push(`The lowest tier (${bands[0].name}) must start at 0`);
+    }
+    for (let i = 1; i < bands.length; i++) {
+      const below = bands[i - 1];
+      const tier = bands[i];
+      if (tier.min <= below.max) {
+        errors.push(`${below.name} (${below.min}-${below.max}) and ${tier.name} (${tier.min}-${tier.max}) overlap`);
+      } else if (tier.min > below.max + 1) {
+        errors.push(`No tier covers ${below.max + 1}-${tier.min - 1}`);
+      }
+    }
+    const top = bands[bands.length - 1];
+    const ceiling = Math.ceil(Number(maxOverall));
+    if (ceiling > 0 && top.max !== ceiling) {
+      errors.push(`The top tier (${top.name}) must end at the maximum overall of ${ceiling}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * The schema's tier ladder, highest first, each with its CSS class
+   * (named after the tier, so default tier names keep their styling)
+   */
+  getTiers(schema = null) {
+    const { tiers } = this.getSchema(schema);
+    if (!tiers) return TIER_THRESHOLDS;
+
+    return tiers
+      .map(tier => ({
+        name: tier.name.trim(),
+        min: tier.min,
+        max: tier.max,
+        class: `tier-${tier.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+        rarity: tier.rarity.trim(),
+        color: tier.color,
+        gradient: tier.gradient || `linear-gradient(135deg, ${tier.color} 0%, ${tier.color} 100%)`
+      }))
+      .sort((a, b) => b.min - a.min);
+  }
+
+  /**
+   * The default ladder in the shape groups store it (ratingSchema.tiers)
+   */
+  getDefaultTiers() {
+    return TIER_THRESHOLDS
+      .map(({ name, min, max, rarity, color, gradient }) => ({ name, min, max, rarity, color, gradient }))
+      .reverse();
+  }
+
   /**
    * Get base stat weight mappings
    */
-  getBaseWeights() {
-    return {
-      face: 15,
-      eyes: 5,
-      hair: 5,
-      top: 5,
-      bottom: 5,
-      fitness: 15,
-      history: 10,
-      personality: 20,
-      tolerance: 10,
-      substances: 10
-    };
+  getBaseWeights(schema = null) {
+    return this.toWeights(this.getSchema(schema).baseStats);
   }
 
   /**
    * Get cap breaker weight mappings
    */
-  getCapBreakerWeights() {
-    return {
-      athletic: 2,
-      height: 1,
-      attractiveness: 2,
-      intoYou: 1,
-      comfort: 3
-    };
+  getCapBreakerWeights(schema = null) {
+    return this.toWeights(this.getSchema(schema).capBreakers);
+  }
+
+  toWeights(stats) {
+    const weights = {};
+    stats.forEach(stat => {
+      weights[stat.key] = Number(stat.weight);
+    });
+    return weights;
   }
 
   /**
-   * Convert 0-100 slider value to weighted points
+   * Convert 0-100 slider value to weighted points, along the stat's curve
    */
-  convertToWeighted(sliderValue, maxWeight) {
-    return (sliderValue / 100) * maxWeight;
+  convertToWeighted(sliderValue, maxWeight, curve = null) {
+    if (!curve || curve.type === 'linear') {
+      return (sliderValue / 100) * maxWeight;
+    }
+    return this.applyCurve(sliderValue, curve) * maxWeight;
+  }
+
+  /**
+   * Share of the weight (0-1) a 0-100 slider value earns along a curve
+   */
+  applyCurve(sliderValue, curve = null) {
+    const t = Math.min(100, Math.max(0, Number(sliderValue) || 0)) / 100;
+    const type = curve ? curve.type : 'linear';
+
+    if (type === 'exponential') {
+      const k = Number(curve.steepness);
+      return (Math.exp(k * t) - 1) / (Math.exp(k) - 1);
+    }
+    if (type === 'logistic') {
+      // Rescaled so the S runs exactly from 0 to 1
+      const k = Number(curve.steepness);
+      const midpoint = Number(curve.midpoint) / 100;
+      const sigmoid = x => 1 / (1 + Math.exp(-k * (x - midpoint)));
+      return (sigmoid(t) - sigmoid(0)) / (sigmoid(1) - sigmoid(0));
+    }
+    if (type === 'piecewise') {
+      const x = t * 100;
+      const points = curve.points;
+      for (let i = 1; i < points.length; i++) {
+        if (x <= points[i].x) {
+          const from = points[i - 1];
+          const to = points[i];
+          return (from.y + ((to.y - from.y) * (x - from.x)) / (to.x - from.x)) / 100;
+        }
+      }
+      return 1;
+    }
+    return t;
+  }
+
+  /**
+   * A curve's type with its default settings
+   */
+  getDefaultCurve(type = 'linear') {
+    return deepClone(DEFAULT_CURVES[type] || DEFAULT_CURVES.linear);
+  }
+
+  getCurveTypes() {
+    return CURVE_TYPES.slice();
+  }
+
+  /**
+   * Sum of weighted points for stats along their curves (0-100 slider values)
+   */
+  sumWeighted(values, statList) {
+    let total = 0;
+    for (const { key, weight, curve } of statList) {
+      const sliderValue = parseInt(values[key]) || 0;
+      total += this.convertToWeighted(sliderValue, Number(weight), curve);
+    }
+    return total;
   }
 
   /**
    * Calculate base stats total
    * Now expects stats values to be 0-100 and converts to weighted points
    */
-  calculateBaseTotal(stats) {
+  calculateBaseTotal(stats, schema = null) {
     if (!stats) return 0;
-    
-    const baseWeights = this.getBaseWeights();
-    let total = 0;
-    
-    for (const [key, weight] of Object.entries(baseWeights)) {
-      const sliderValue = parseInt(stats[key]) || 0;
-      // Convert 0-100 slider value to weighted points
-      const weighted = this.convertToWeighted(sliderValue, weight);
-      total += weighted;
-    }
-    
-    return Math.min(total, MAX_BASE_TOTAL);
+
+    const total = this.sumWeighted(stats, this.getSchema(schema).baseStats);
+
+    return Math.min(total, this.getMaxValues(schema).baseTotal);
   }
 
   /**
    * Calculate cap breakers total
    * Now expects cap breaker values to be 0-100 and converts to weighted points
    */
-  calculateCapBreakerTotal(capBreakers) {
+  calculateCapBreakerTotal(capBreakers, schema = null) {
     if (!capBreakers) return 0;
+
+    const total = this.sumWeighted(capBreakers, this.getSchema(schema).capBreakers);
     
-    const capWeights = this.getCapBreakerWeights();
-    let total = 0;
-    
-    for (const [key, weight] of Object.entries(capWeights)) {
-      const sliderValue = parseInt(capBreakers[key]) || 0;
-      // Convert 0-100 slider value to weighted points
-      const weighted = this.convertToWeighted(sliderValue, weight);
-      total += weighted;
-    }
-    
-    return Math.min(total, MAX_CAP_BREAKER_TOTAL);
+    return Math.min(total, this.getMaxValues(schema).capBreakerTotal);
   }
 
   /**
    * Calculate overall rating
    */
-  calculateOverall(stats, capBreakers) {
-    const baseTotal = this.calculateBaseTotal(stats);
-    const capBreakerTotal = this.calculateCapBreakerTotal(capBreakers);
+  calculateOverall(stats, capBreakers, schema = null) {
+    const baseTotal = this.calculateBaseTotal(stats, schema);
+    const capBreakerTotal = this.calculateCapBreakerTotal(capBreakers, schema);
     const overall = baseTotal + capBreakerTotal;
     
-    return Math.min(overall, MAX_OVERALL);
+    return Math.min(overall, this.getMaxValues(schema).overall);
   }
 
   /**
    * Get tier information for overall rating
    */
-  getTier(overall) {
-    for (const tier of TIER_THRESHOLDS) {
+  getTier(overall, schema = null) {
+    const tiers = this.getTiers(schema);
+    for (const tier of tiers) {
       if (overall >= tier.min) {
         return tier;
       }
     }
-    return TIER_THRESHOLDS[TIER_THRESHOLDS.length - 1]; // Bronze as fallback
+    return tiers[tiers.length - 1]; // Lowest tier as fallback
   }
 
   /**
    * Calculate complete player ratings
+   * @param {Object} [schema] - the player's group rating schema (default if omitted)
    */
-  calculatePlayerRatings(stats, capBreakers) {
-    const baseTotal = this.calculateBaseTotal(stats);
-    const capBreakerTotal = this.calculateCapBreakerTotal(capBreakers);
-    const overall = Math.min(Math.round(baseTotal + capBreakerTotal), MAX_OVERALL); // Ensure it doesn't exceed max
-    const tier = this.getTier(overall);
+  calculatePlayerRatings(stats, capBreakers, schema = null) {
+    const baseTotal = this.calculateBaseTotal(stats, schema);
+    const capBreakerTotal = this.calculateCapBreakerTotal(capBreakers, schema);
+    const overall = Math.min(Math.round(baseTotal + capBreakerTotal), this.getMaxValues(schema).overall); // Ensure it doesn't exceed max
+    const tier = this.getTier(overall, schema);
 
     return {
       baseTotal: Math.round(baseTotal * 10) / 10, // Round to 1 decimal place
@@ -264,15 +622,185 @@ class RatingsCalculator {
       tierClass: tier.class,
       rarity: tier.rarity,
       color: tier.color,
-      gradient: tier.gradient
+      gradient: tier.gradient,
+      ratingVersion: RATING_FORMULA_VERSION
+    };
+  }
+
+  /**
+   * Whether a player's stored ratings came from an older formula
+   */
+  isStale(player) {
+    return player.ratingVersion !== RATING_FORMULA_VERSION;
+  }
+
+  getFormulaVersion() {
+    return RATING_FORMULA_VERSION;
+  }
+
+  /**
+   * The group's consensus settings, defaults filled in
+   */
+  getConsensus(schema = null) {
+    return { ...DEFAULT_CONSENSUS, ...(this.getSchema(schema).consensus || {}) };
+  }
+
+  getConsensusMethods() {
+    return CONSENSUS_METHODS.slice();
+  }
+
+  /**
+   * Combine raters' values for one stat (see CONSENSUS_METHODS)
+   */
+  aggregate(values, method = 'mean') {
+    if (values.length === 0) return 0;
+
+    let sorted = values.slice().sort((a, b) => a - b);
+    if (method === 'median') {
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    if (method === 'trimmed' && sorted.length >= 3) {
+      const cut = Math.max(1, Math.floor(sorted.length * 0.2));
+      sorted = sorted.slice(cut, sorted.length - cut);
+    }
+    return sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  }
+
+  /**
+   * A rater's slider value for a stat, null when they didn't rate it
+   */
+  getRatingValue(rating, field, key) {
+    const value = parseInt((rating[field] || {})[key]);
+    return isNaN(value) ? null : value;
+  }
+
+  /**
+   * How far each member rates above (+) or below (-) the other raters of the
+   * same players, in slider points - {} unless the group normalizes, and
+   * members with too few comparisons (MIN_BIAS_SAMPLES) are left out
+   * @param {Array} players - every player of the group
+   * @returns {Object} raterKey → bias
+   */
+  getRaterBiases(players, schema = null) {
+    if (!this.getConsensus(schema).normalize) return {};
+
+    const { baseStats, capBreakers } = this.getSchema(schema);
+    const differences = {};
+
+    players.forEach(player => {
+      const raters = Object.entries(player.raters || {});
+      if (raters.length < 2) return;
+
+      [[baseStats, 'stats'], [capBreakers, 'capBreakers']].forEach(([statList, field]) => {
+        statList.forEach(({ key }) => {
+          const values = raters
+            .map(([raterKey, rating]) => ({ raterKey, value: this.getRatingValue(rating, field, key) }))
+            .filter(({ value }) => value !== null);
+
+          values.forEach(({ raterKey, value }) => {
+            const others = values.filter(other => other.raterKey !== raterKey);
+            if (others.length === 0) return;
+            const othersMean = others.reduce((sum, other) => sum + other.value, 0) / others.length;
+            (differences[raterKey] = differences[raterKey] || []).push(value - othersMean);
+          });
+        });
+      });
+    });
+
+    const biases = {};
+    Object.entries(differences).forEach(([raterKey, list]) => {
+      if (list.length >= MIN_BIAS_SAMPLES) {
+        biases[raterKey] = Math.round((list.reduce((sum, value) => sum + value, 0) / list.length) * 10) / 10;
+      }
+    });
+    return biases;
+  }
+
+  /**
+   * Combine a player's raters (player.raters: raterKey → {member, stats,
+   * capBreakers, ratedAt, bias}) into the stats to store, along with how far
+   * apart the ratings are. Stats the schema doesn't have keep their values.
+   * @returns {{stats, capBreakers, consensus: {method, normalized, raters,
+   *   spread: {key: standard deviation}, disputed, disputedStats, overalls: {raterKey: overall}}}}
+   */
+  calculateConsensus(player, schema = null) {
+    const settings = this.getConsensus(schema);
+    const { baseStats, capBreakers } = this.getSchema(schema);
+    const raters = Object.entries(player.raters || {});
+    const spread = {};
+    const disputedStats = [];
+
+    const combine = (statList, field) => {
+      const values = { ...(player[field] || {}) };
+      statList.forEach(({ key }) => {
+        const ratings = raters
+          .map(([, rating]) => {
+            const value = this.getRatingValue(rating, field, key);
+            if (value === null) return null;
+            const bias = settings.normalize ? Number(rating.bias) || 0 : 0;
+            return Math.min(100, Math.max(0, value - bias));
+          })
+          .filter(value => value !== null);
+        if (ratings.length === 0) return;
+
+        values[key] = Math.round(this.aggregate(ratings, settings.method));
+
+        const mean = ratings.reduce((sum, value) => sum + value, 0) / ratings.length;
+        const variance = ratings.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / ratings.length;
+        spread[key] = Math.round(Math.sqrt(variance) * 10) / 10;
+        if (ratings.length > 1 && spread[key] >= Number(settings.disputeSpread)) disputedStats.push(key);
+      });
+      return values;
+    };
+
+    const overalls = {};
+    raters.forEach(([raterKey, rating]) => {
+      overalls[raterKey] = this.calculatePlayerRatings(rating.stats || {}, rating.capBreakers || {}, schema).overall;
+    });
+
+    return {
+      stats: combine(baseStats, 'stats'),
+      capBreakers: combine(capBreakers, 'capBreakers'),
+      consensus: {
+        method: settings.method,
+        normalized: settings.normalize,
+        raters: raters.length,
+        spread,
+        disputed: disputedStats.length > 0,
+        disputedStats,
+        overalls
+      }
     };
   }
 
+  /**
+   * A player with its ratings recalculated: from its raters' consensus when
+   * it has raters, otherwise from its own stats
+   * @param {Object} [biases] - fresh getRaterBiases to store on the raters;
+   *   without them, raters keep the bias they have
+   */
+  ratePlayer(player, schema = null, biases = null) {
+    const rated = { ...player };
+
+    if (player.raters && Object.keys(player.raters).length > 0) {
+      if (biases) {
+        rated.raters = {};
+        Object.entries(player.raters).forEach(([raterKey, rating]) => {
+          rated.raters[raterKey] = { ...rating, bias: biases[raterKey] || 0 };
+        });
+      }
+      Object.assign(rated, this.calculateConsensus(rated, schema));
+    }
+
+    return { ...rated, ...this.calculatePlayerRatings(rated.stats || {}, rated.capBreakers || {}, schema) };
+  }
+
   /**
    * Validate stat value (now expects 0-100 slider values)
    */
-  validateStat(statKey, value, isCapBreaker = false) {
-    const weights = isCapBreaker ? this.getCapBreakerWeights() : this.getBaseWeights();
+  validateStat(statKey, value, isCapBreaker = false, schema = null) {
+    const weights = isCapBreaker ? this.getCapBreakerWeights(schema) : this.getBaseWeights(schema);
     
     if (!weights[statKey]) {
       throw new Error(`Unknown stat: ${statKey}`);
@@ -305,8 +833,8 @@ class RatingsCalculator {
   /**
    * Get tier progress (how far into current tier)
    */
-  getTierProgress(overall) {
-    const tier = this.getTier(overall);
+  getTierProgress(overall, schema = null) {
+    const tier = this.getTier(overall, schema);
     const tierRange = tier.max - tier.min + 1;
     const progress = overall - tier.min;
     return Math.round((progress / tierRange) * 100);
@@ -315,12 +843,13 @@ class RatingsCalculator {
   /**
    * Get next tier information
    */
-  getNextTier(overall) {
-    const currentTier = this.getTier(overall);
-    const currentIndex = TIER_THRESHOLDS.findIndex(t => t.name === currentTier.name);
+  getNextTier(overall, schema = null) {
+    const tiers = this.getTiers(schema);
+    const currentTier = this.getTier(overall, schema);
+    const currentIndex = tiers.findIndex(t => t.name === currentTier.name);
     
     if (currentIndex > 0) {
-      const nextTier = TIER_THRESHOLDS[currentIndex - 1];
+      const nextTier = tiers[currentIndex - 1];
       const pointsNeeded = nextTier.min - overall;
       return {
         tier: nextTier,
@@ -331,19 +860,128 @@ class RatingsCalculator {
     return null; // Already at max tier
   }
 
+  /**
+   * What it takes to reach the next tier from these slider values: each stat
+   * that could get there on its own, with the slider increase it needs
+   * (smallest first - heavy stats with headroom move least), and, when no
+   * single stat can, a combination that maxes the stats with the most points
+   * of headroom first (searching slider values, so scoring curves count)
+   * @returns {null|{nextTier, pointsNeeded, options, combination, reachable}}
+   *   null at the top tier; options/combination: [{key, label, isCapBreaker, weight, from, to, change}]
+   */
+  getPathToNextTier(stats = {}, capBreakers = {}, schema = null) {
+    const current = this.calculatePlayerRatings(stats, capBreakers, schema);
+    const next = this.getNextTier(current.overall, schema);
+    if (!next) return null;
+
+    const target = next.tier.min;
+    const { baseStats, capBreakers: capStats } = this.getSchema(schema);
+    const sliders = [
+      ...baseStats.map(stat => ({ ...stat, isCapBreaker: false, from: parseInt(stats[stat.key]) || 0 })),
+      ...capStats.map(stat => ({ ...stat, isCapBreaker: true, from: parseInt(capBreakers[stat.key]) || 0 }))
+    ].filter(stat => stat.from < 100);
+
+    const reaches = (moves) => {
+      const newStats = { ...stats };
+      const newCapBreakers = { ...capBreakers };
+      moves.forEach(move => {
+        (move.isCapBreaker ? newCapBreakers : newStats)[move.key] = move.to;
+      });
+      return this.calculatePlayerRatings(newStats, newCapBreakers, schema).overall >= target;
+    };
+    const move = (stat, to) => ({
+      key: stat.key, label: stat.label, isCapBreaker: stat.isCapBreaker, weight: Number(stat.weight),
+      from: stat.from, to, change: to - stat.from
+    });
+
+    // Lowest slider value for the last stat in moves that reaches the target.
+    // Curves never go down, so a binary search over the slider works
+    const lowest = (stat, others = []) => {
+      if (!reaches([...others, move(stat, 100)])) return null;
+      let low = stat.from + 1;
+      let high = 100;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (reaches([...others, move(stat, mid)])) high = mid;
+        else low = mid + 1;
+      }
+      return move(stat, low);
+    };
+
+    // One stat on its own
+    const options = sliders.map(stat => lowest(stat)).filter(Boolean);
+    options.sort((a, b) => a.change - b.change || b.weight - a.weight);
+
+    // Several stats, the most points of headroom (along each curve) first
+    let combination = null;
+    if (options.length === 0) {
+      combination = [];
+      const headroom = stat => this.convertToWeighted(100, Number(stat.weight), stat.curve)
+        - this.convertToWeighted(stat.from, Number(stat.weight), stat.curve);
+      for (const stat of sliders.slice().sort((a, b) => headroom(b) - headroom(a))) {
+        const step = lowest(stat, combination);
+        if (step) {
+          combination.push(step);
+          break;
+        }
+        combination.push(move(stat, 100));
+      }
+    }
+
+    return {
+      nextTier: next.tier,
+      pointsNeeded: next.pointsNeeded,
+      options,
+      combination,
+      reachable: options.length > 0 || (combination.length > 0 && reaches(combination))
+    };
+  }
+
+  /**
+   * Create "path to next tier" HTML from getPathToNextTier
+   */
+  createTierPath(path) {
+    if (!path) {
+      return '<p class="tier-path-note">Top tier reached - nowhere higher to go</p>';
+    }
+
+    const item = (step) => `
+      <li>
+        <span class="tier-path-stat">${sanitizeHTML(step.label)}${step.isCapBreaker ? ' <small>(cap breaker)</small>' : ''}</span>
+        <span class="tier-path-values">${step.from} → ${step.to}</span>
+        <span class="tier-path-change">+${step.change}</span>
+      </li>
+    `;
+
+    const title = `<h4>Path to ${sanitizeHTML(path.nextTier.name)}</h4>`;
+    if (!path.reachable) {
+      return `${title}<p class="tier-path-note">Out of reach - even maxing every stat falls short</p>`;
+    }
+    if (path.options.length > 0) {
+      return `
+        ${title}
+        <p class="tier-path-note">${path.pointsNeeded} ${path.pointsNeeded === 1 ? 'point' : 'points'} short. Any one of these gets there:</p>
+        <ul class="tier-path">${path.options.map(item).join('')}</ul>
+      `;
+    }
+    return `
+      ${title}
+      <p class="tier-path-note">${path.pointsNeeded} points short - no single stat has the headroom. Together these get there:</p>
+      <ul class="tier-path">${path.combination.map(item).join('')}</ul>
+    `;
+  }
+
   /**
    * Create tier badge HTML
    */
-  createTierBadge(overall, size = 'medium') {
-    const ratings = this.calculatePlayerRatings({}, {});
-    ratings.overall = overall;
-    const tier = this.getTier(overall);
+  createTierBadge(overall, size = 'medium', schema = null) {
+    const tier = this.getTier(overall, schema);
 
     return `
       <div class="tier-badge tier-${size} ${tier.class}" style="background: ${tier.gradient}">
         <div class="tier-overall">${overall}</div>
-        <div class="tier-name">${tier.name}</div>
-        <div class="tier-rarity">${tier.rarity}</div>
+        <div class="tier-name">${sanitizeHTML(tier.name)}</div>
+        <div class="tier-rarity">${sanitizeHTML(tier.rarity)}</div>
       </div>
     `;
   }
@@ -351,21 +989,20 @@ class RatingsCalculator {
   /**
    * Create stat bars HTML (now expects 0-100 slider values)
    */
-  createStatBars(stats, capBreakers) {
+  createStatBars(stats, capBreakers, schema = null) {
     let html = '<div class="stat-bars">';
     
-    const baseWeights = this.getBaseWeights();
-    const capWeights = this.getCapBreakerWeights();
+    const { baseStats, capBreakers: capStats } = this.getSchema(schema);
     
     // Base stats
     html += '<div class="stat-section"><h4>Base Stats</h4>';
-    for (const [key, weight] of Object.entries(baseWeights)) {
+    for (const { key, label, weight, curve } of baseStats) {
       const sliderValue = parseInt(stats[key]) || 0; // 0-100
-      const weighted = this.convertToWeighted(sliderValue, weight);
+      const weighted = this.convertToWeighted(sliderValue, weight, curve);
       const percentage = sliderValue; // Since it's already 0-100
       html += `
         <div class="stat-bar">
-          <label>${BASE_STATS[key]?.label || key}</label>
+          <label>${sanitizeHTML(label)}</label>
           <div class="bar-container">
             <div class="bar-fill" style="width: ${percentage}%"></div>
             <span class="bar-value">${sliderValue}/100 → ${weighted.toFixed(2)}/${weight}</span>
@@ -376,14 +1013,16 @@ class RatingsCalculator {
     html += '</div>';
 
     // Cap breakers
-    html += '<div class="stat-section"><h4>Cap Breakers</h4>';
-    for (const [key, weight] of Object.entries(capWeights)) {
+    if (capStats.length > 0) {
+      html += '<div class="stat-section"><h4>Cap Breakers</h4>';
+    }
+    for (const { key, label, weight, curve } of capStats) {
       const sliderValue = parseInt(capBreakers[key]) || 0; // 0-100
-      const weighted = this.convertToWeighted(sliderValue, weight);
+      const weighted = this.convertToWeighted(sliderValue, weight, curve);
       const percentage = sliderValue; // Since it's already 0-100
       html += `
         <div class="stat-bar">
-          <label>${CAP_BREAKERS[key]?.label || key}</label>
+          <label>${sanitizeHTML(label)}</label>
           <div class="bar-container">
             <div class="bar-fill cap-breaker" style="width: ${percentage}%"></div>
             <span class="bar-value">${sliderValue}/100 → ${weighted.toFixed(2)}/${weight}</span>
@@ -391,34 +1030,249 @@ class RatingsCalculator {
         </div>
       `;
     }
-    html += '</div></div>';
+    html += capStats.length > 0 ? '</div></div>' : '</div>';
 
     return html;
   }
 
+  /**
+   * Create a small SVG of a scoring curve - slider value across, share of the
+   * weight up, linear dashed behind it - with a dot at sliderValue if given
+   * @returns {string} '' for an invalid curve
+   */
+  createCurvePreview(curve = null, sliderValue = null) {
+    if (curve && this.validateCurve(curve).length > 0) return '';
+
+    const width = 80;
+    const height = 40;
+    const type = curve ? curve.type : 'linear';
+    const point = (value) => {
+      const share = this.applyCurve(value, curve);
+      return `${((value / 100) * width).toFixed(1)},${(height - share * height).toFixed(1)}`;
+    };
+
+    // Every 2 points, plus piecewise corners
+    const values = [];
+    for (let value = 0; value <= 100; value += 2) values.push(value);
+    if (type === 'piecewise') values.push(...curve.points.map(({ x }) => x));
+    const line = [...new Set(values)].sort((a, b) => a - b).map(point).join(' ');
+
+    let label = `${type.charAt(0).toUpperCase()}${type.slice(1)} scoring curve`;
+    let dot = '';
+    if (sliderValue !== null && sliderValue !== undefined) {
+      const value = parseInt(sliderValue) || 0;
+      const [x, y] = point(value).split(',');
+      label += `: ${value}/100 earns ${Math.round(this.applyCurve(value, curve) * 100)}% of the weight`;
+      dot = `<circle cx="${x}" cy="${y}" r="3" fill="currentColor" />`;
+    }
+
+    return `
+      <svg class="curve-preview" viewBox="-4 -4 ${width + 8} ${height + 8}" width="${width + 8}" height="${height + 8}" role="img" aria-label="${label}">
+        <line x1="0" y1="${height}" x2="${width}" y2="0" stroke="currentColor" stroke-opacity="0.25" stroke-dasharray="3 3" />
+        <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="2" />
+        ${dot}
+      </svg>
+    `;
+  }
+
+  /**
+   * Create a radar (spider) chart - SVG of one or more players' slider values
+   * overlaid on the same axes, each in its tier color (later players dashed
+   * so same-tier players stay apart), followed by a legend
+   * @param {Array<{playerName, stats, capBreakers, tier, color}>} players
+   * @param {Object} [options]
+   * @param {boolean} [options.capBreakers] - chart the cap breakers, not the base stats
+   * @param {Object} [options.schema] - the players' group rating schema
+   * @returns {string} '' when there are fewer than 3 stats to chart
+   */
+  createRadarChart(players, { capBreakers = false, schema = null } = {}) {
+    const { baseStats, capBreakers: capStats } = this.getSchema(schema);
+    const axes = capBreakers ? capStats : baseStats;
+    if (axes.length < 3 || players.length === 0) return '';
+
+    const width = 360;
+    const height = 300;
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = 100;
+    const dashes = ['', '6 3', '2 3', '8 3 2 3'];
+    const chartId = generateId('radar');
+    const title = `${capBreakers ? 'Cap breakers' : 'Base stats'}: ${players.map(player => player.playerName).join(' vs ')}`;
+
+    const valueOf = (player, key) => {
+      const values = (capBreakers ? player.capBreakers : player.stats) || {};
+      return Math.min(100, Math.max(0, parseInt(values[key]) || 0));
+    };
+    const at = (i, value) => {
+      const angle = -Math.PI / 2 + (i * 2 * Math.PI) / axes.length;
+      return [cx + (radius * value / 100) * Math.cos(angle), cy + (radius * value / 100) * Math.sin(angle)];
+    };
+    const polygon = (values) => values.map((value, i) => at(i, value).map(n => n.toFixed(1)).join(',')).join(' ');
+
+    // Read out in full for screen readers
+    const description = players
+      .map(player => `${player.playerName}: ${axes.map(axis => `${axis.label} ${valueOf(player, axis.key)}`).join(', ')}`)
+      .join('. ');
+
+    let svg = `
+      <svg class="radar-chart" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${chartId}-title ${chartId}-desc">
+        <title id="${chartId}-title">${sanitizeHTML(title)}</title>
+        <desc id="${chartId}-desc">${sanitizeHTML(description)}</desc>
+    `;
+
+    // Rings at 25/50/75/100 and a spoke per stat
+    [25, 50, 75, 100].forEach(value => {
+      svg += `<polygon points="${polygon(axes.map(() => value))}" fill="none" stroke="currentColor" stroke-opacity="0.15" />`;
+    });
+    axes.forEach((axis, i) => {
+      const [x, y] = at(i, 100);
+      const [lx, ly] = at(i, 114);
+      const anchor = Math.abs(lx - cx) < 1 ? 'middle' : (lx > cx ? 'start' : 'end');
+      svg += `
+        <line x1="${cx}" y1="${cy}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" stroke="currentColor" stroke-opacity="0.15" />
+        <text x="${lx.toFixed(1)}" y="${(ly + 3).toFixed(1)}" text-anchor="${anchor}" font-size="10" fill="currentColor">${sanitizeHTML(axis.label)}</text>
+      `;
+    });
+
+    players.forEach((player, p) => {
+      const values = axes.map(axis => valueOf(player, axis.key));
+      const color = sanitizeHTML(player.color || this.getTier(player.overall || 0, schema).color);
+      svg += `<polygon points="${polygon(values)}" fill="${color}" fill-opacity="${players.length > 1 ? 0.12 : 0.25}" stroke="${color}" stroke-width="2" stroke-dasharray="${dashes[p % dashes.length]}" />`;
+      values.forEach((value, i) => {
+        const [x, y] = at(i, value);
+        svg += `
+          <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="${color}">
+            <title>${sanitizeHTML(`${player.playerName} - ${axes[i].label}: ${value}/100`)}</title>
+          </circle>
+        `;
+      });
+    });
+    svg += '</svg>';
+
+    const legend = players.map((player, p) => `
+      <li>
+        <svg width="24" height="8" aria-hidden="true">
+          <line x1="0" y1="4" x2="24" y2="4" stroke="${sanitizeHTML(player.color || this.getTier(player.overall || 0, schema).color)}" stroke-width="2" stroke-dasharray="${dashes[p % dashes.length]}" />
+        </svg>
+        ${sanitizeHTML(player.playerName)}${player.tier ? ` <small>${sanitizeHTML(player.tier)}</small>` : ''}
+      </li>
+    `).join('');
+
+    return `
+      <figure class="radar-chart-wrap">
+        <figcaption>${capBreakers ? 'Cap Breakers' : 'Base Stats'}</figcaption>
+        ${svg}
+        <ul class="radar-legend">${legend}</ul>
+      </figure>
+    `;
+  }
+
+  /**
+   * Create rating timeline HTML - an SVG line chart of overall over time,
+   * tier thresholds in range marked, followed by the list of changes
+   * @param {Array} points - from playerManager.getRatingHistory, oldest first
+   * @param {Object} [schema] - the player's group rating schema
+   */
+  createRatingTimeline(points, schema = null) {
+    if (!points || points.length === 0) return '';
+
+    const width = 300;
+    const height = 140;
+    const pad = { top: 10, right: 10, bottom: 10, left: 28 };
+    const overalls = points.map(point => point.overall || 0);
+    const low = Math.max(0, Math.min(...overalls) - 5);
+    const high = Math.min(this.getMaxValues(schema).overall, Math.max(...overalls) + 5);
+
+    const x = (i) => points.length === 1
+      ? width / 2
+      : pad.left + (i / (points.length - 1)) * (width - pad.left - pad.right);
+    const y = (overall) => pad.top + (1 - (overall - low) / Math.max(high - low, 1)) * (height - pad.top - pad.bottom);
+
+    let svg = `<svg class="rating-timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Overall rating over time">`;
+
+    // Tier thresholds inside the visible range
+    this.getTiers(schema)
+      .filter(tier => tier.min > low && tier.min < high)
+      .forEach(tier => {
+        svg += `
+          <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(tier.min)}" y2="${y(tier.min)}" stroke="${sanitizeHTML(tier.color)}" stroke-dasharray="3 3" stroke-opacity="0.5" />
+          <text x="${width - pad.right}" y="${y(tier.min) - 2}" text-anchor="end" fill="${sanitizeHTML(tier.color)}" font-size="8">${sanitizeHTML(tier.name)}</text>
+        `;
+      });
+
+    svg += `
+      <text x="${pad.left - 4}" y="${y(high) + 3}" text-anchor="end" font-size="8" fill="currentColor">${high}</text>
+      <text x="${pad.left - 4}" y="${y(low) + 3}" text-anchor="end" font-size="8" fill="currentColor">${low}</text>
+      <polyline points="${points.map((point, i) => `${x(i)},${y(point.overall || 0)}`).join(' ')}" fill="none" stroke="var(--accent-primary)" stroke-width="2" />
+    `;
+
+    points.forEach((point, i) => {
+      const tier = this.getTier(point.overall || 0, schema);
+      const label = `${formatDate(point.timestamp)}${point.author ? ` · ${point.author}` : ''}: ${point.overall} (${point.tier})`;
+      svg += `
+        <circle cx="${x(i)}" cy="${y(point.overall || 0)}" r="4" fill="${sanitizeHTML(tier.color)}">
+          <title>${sanitizeHTML(label)}</title>
+        </circle>
+      `;
+    });
+    svg += '</svg>';
+
+    // Changes, newest first
+    const changes = points.slice().reverse().map(point => {
+      const delta = point.previousOverall === null ? '' : point.overall - point.previousOverall;
+      const tierChange = point.previousTier && point.previousTier !== point.tier
+        ? ` <span class="timeline-tier-change">${point.overall > point.previousOverall ? '⬆️' : '⬇️'} ${sanitizeHTML(point.previousTier)} → ${sanitizeHTML(point.tier)}</span>`
+        : '';
+      return `
+        <li>
+          <span class="timeline-date">${formatDate(point.timestamp)}</span>
+          <span class="timeline-author">${point.author ? sanitizeHTML(point.author) : 'Before history'}</span>
+          <span class="timeline-overall">${point.overall}${delta ? ` (${delta > 0 ? '+' : ''}${delta})` : ''}</span>${tierChange}
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="rating-timeline">
+        ${svg}
+        <ul class="rating-timeline-changes">${changes}</ul>
+      </div>
+    `;
+  }
+
   /**
    * Get all tiers for display
    */
-  getAllTiers() {
-    return TIER_THRESHOLDS;
+  getAllTiers(schema = null) {
+    return this.getTiers(schema);
   }
 
   /**
    * Get stat limits
    */
-  getBaseStats() {
-    return BASE_STATS;
+  getBaseStats(schema = null) {
+    return this.toLimits(this.getSchema(schema).baseStats);
+  }
+
+  getCapBreakers(schema = null) {
+    return this.toLimits(this.getSchema(schema).capBreakers);
   }
 
-  getCapBreakers() {
-    return CAP_BREAKERS;
+  toLimits(stats) {
+    const limits = {};
+    stats.forEach(stat => {
+      limits[stat.key] = { min: 0, max: Number(stat.weight), label: stat.label };
+    });
+    return limits;
   }
 
-  getMaxValues() {
+  getMaxValues(schema = null) {
+    const { maxOverall, baseStats, capBreakers } = this.getSchema(schema);
+    const sum = (stats) => stats.reduce((total, stat) => total + Number(stat.weight), 0);
     return {
-      baseTotal: MAX_BASE_TOTAL,
-      capBreakerTotal: MAX_CAP_BREAKER_TOTAL,
-      overall: MAX_OVERALL
+      baseTotal: sum(baseStats),
+      capBreakerTotal: sum(capBreakers),
+      overall: Number(maxOverall)
     };
   }
 }
@@ -0,0 +1,706 @@
+/**
+ * Storage Adapters
+ * The backends DBManager reads from and writes to
+ *
+ * Every adapter implements the same interface:
+ *   get(collection, id)             -> record or null
+ *   getAll(collection)              -> array of records
+ *   put(collection, id, record)
+ *   delete(collection, id)
+ *   query(collection, field, value) -> records where record[field] === value
+ *
+ * Optional extras DBManager uses when present:
+ *   init()            - open connections before first use
+ *   isAvailable()     - false while the backend can't be used (defaults to true)
+ *   applyBatch(ops)   - apply [{ type: 'save'|'delete', collection, id, data }] all-or-nothing
+ *   clear()           - remove everything
+ *   watch(collection, field, value, callback) - push remote changes, returns an unsubscribe
+ *
+ * Flags:
+ *   remote        - cloud backend; writes are queued while offline
+ *   systemStores  - can also hold the syncQueue, meta, conflicts, deadLetter, photos,
+ *                   tombstones and history stores
+ *   cache         - bounded; may hold only some records, so list reads skip it
+ */
+
+// Record collections and their primary keys
+const COLLECTION_KEYS = {
+  groups: 'groupId',
+  teams: 'teamId',
+  players: 'playerId'
+};
+
+// Secondary indexes available to queryBy (collection -> indexed fields)
+const QUERY_INDEXES = {
+  players: ['teamId'],
+  teams: ['groupId'],
+  history: ['recordKey']
+};
+
+// Stores DBManager keeps for its own bookkeeping (collection -> primary key)
+const SYSTEM_STORE_KEYS = {
+  syncQueue: 'id',
+  meta: 'key',
+  conflicts: 'conflictId',
+  deadLetter: 'id',
+  photos: 'photoId',
+  tombstones: 'key',
+  history: 'historyId'
+};
+
+// Records the localStorage cache keeps before evicting the least recently used
+const LOCAL_STORAGE_CACHE_LIMIT = 500;
+
+// Records evicted at a time when localStorage runs out of space
+const LOCAL_STORAGE_EVICT_BATCH = 25;
+
+// localStorage key of the cache's last-access times ({ 'collection/id': timestamp })
+const LOCAL_STORAGE_ACCESS_KEY = 'cache_access';
+
+function isQuotaExceededError(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22
+  );
+}
+
+/**
+ * Tell the app a layer ran out of space (app.js offers a cleanup)
+ */
+function reportQuotaExceeded(layerName, error) {
+  console.error(`💾 ${layerName} is full:`, error);
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('hoopin:quota', { detail: { layer: layerName } }));
+  }
+}
+
+/**
+ * In-memory backend
+ * Nothing survives a reload - for tests, Node scripts and headless use
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.remote = false;
+    this.systemStores = true;
+    this.collections = {};
+  }
+
+  getCollection(collection) {
+    if (!this.collections[collection]) {
+      this.collections[collection] = new Map();
+    }
+    return this.collections[collection];
+  }
+
+  async get(collection, id) {
+    const record = this.getCollection(collection).get(id);
+    return record ? deepClone(record) : null;
+  }
+
+  async getAll(collection) {
+    return [...this.getCollection(collection).values()].map(record => deepClone(record));
+  }
+
+  async put(collection, id, record) {
+    this.getCollection(collection).set(id, deepClone(record));
+  }
+
+  async delete(collection, id) {
+    this.getCollection(collection).delete(id);
+  }
+
+  async query(collection, field, value) {
+    const records = await this.getAll(collection);
+    return records.filter(record => record[field] === value);
+  }
+
+  async applyBatch(ops) {
+    ops.forEach(op => {
+      if (op.type === 'save') {
+        this.getCollection(op.collection).set(op.id, deepClone(op.data));
+      } else {
+        this.getCollection(op.collection).delete(op.id);
+      }
+    });
+  }
+
+  async clear() {
+    this.collections = {};
+  }
+}
+
+/**
+ * localStorage backend - a bounded metadata cache
+ * Records live under `${collection}_${id}`, with an id list in
+ * `${collection}_index` and field index maps for QUERY_INDEXES.
+ * Past `maxRecords`, or when the quota is hit, the least recently
+ * used records are evicted (they are still in IndexedDB/Firebase).
+ */
+class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.name = 'localStorage';
+    this.remote = false;
+    this.systemStores = false;
+    this.cache = true;
+    this.maxRecords = options.maxRecords || LOCAL_STORAGE_CACHE_LIMIT;
+  }
+
+  isAvailable() {
+    return typeof localStorage !== 'undefined';
+  }
+
+  async get(collection, id) {
+    const record = this.read(collection, id);
+    if (record) this.touch(collection, id);
+    return record;
+  }
+
+  async getAll(collection) {
+    try {
+      const index = safeJSONParse(localStorage.getItem(`${collection}_index`), []);
+      return index.map(id => this.read(collection, id)).filter(Boolean);
+    } catch (e) {
+      console.error('localStorage getAll error:', e);
+      return [];
+    }
+  }
+
+  async put(collection, id, record) {
+    const key = `${collection}/${id}`;
+
+    for (;;) {
+      try {
+        this.write(collection, id, record);
+        break;
+      } catch (e) {
+        if (!isQuotaExceededError(e)) {
+          console.error('localStorage save error:', e);
+          return;
+        }
+        // Make room, keeping the record being written
+        if (this.evict(LOCAL_STORAGE_EVICT_BATCH, key) === 0) {
+          reportQuotaExceeded(this.name, e);
+          return;
+        }
+      }
+    }
+
+    const over = Object.keys(this.getAccessTimes()).length - this.maxRecords;
+    if (over > 0) this.evict(over, key);
+  }
+
+  async delete(collection, id) {
+    try {
+      this.remove(collection, id);
+    } catch (e) {
+      console.error('localStorage delete error:', e);
+    }
+  }
+
+  async query(collection, field, value) {
+    try {
+      if (!(QUERY_INDEXES[collection] || []).includes(field)) {
+        const records = await this.getAll(collection);
+        return records.filter(record => record[field] === value);
+      }
+
+      const ids = this.getIndexMap(collection, field)[value] || [];
+      return ids.map(id => this.read(collection, id)).filter(Boolean);
+    } catch (e) {
+      console.error('localStorage query error:', e);
+      return [];
+    }
+  }
+
+  async clear() {
+    localStorage.clear();
+  }
+
+  /**
+   * Drop the least recently used records (all of them by default)
+   * Returns how many were evicted
+   */
+  evict(count = Infinity, keep = null) {
+    const access = this.getAccessTimes();
+    const victims = Object.keys(access)
+      .filter(key => key !== keep)
+      .sort((a, b) => access[a] - access[b])
+      .slice(0, count);
+
+    victims.forEach(key => {
+      const split = key.indexOf('/');
+      this.remove(key.slice(0, split), key.slice(split + 1));
+    });
+
+    if (victims.length > 0) {
+      console.log(`🧹 Evicted ${victims.length} records from the localStorage cache`);
+    }
+    return victims.length;
+  }
+
+  write(collection, id, record) {
+    const previous = this.getIndexedFieldValues(collection, this.read(collection, id));
+    localStorage.setItem(`${collection}_${id}`, JSON.stringify(record));
+
+    // Update collection index
+    const indexKey = `${collection}_index`;
+    const index = safeJSONParse(localStorage.getItem(indexKey), []);
+    if (!index.includes(id)) {
+      index.push(id);
+      localStorage.setItem(indexKey, JSON.stringify(index));
+    }
+
+    // Update field index maps
+    this.updateIndexes(collection, id, previous, this.getIndexedFieldValues(collection, record));
+    this.touch(collection, id);
+  }
+
+  remove(collection, id) {
+    const previous = this.getIndexedFieldValues(collection, this.read(collection, id));
+    localStorage.removeItem(`${collection}_${id}`);
+    this.updateIndexes(collection, id, previous, {});
+
+    // Update collection index
+    const indexKey = `${collection}_index`;
+    const index = safeJSONParse(localStorage.getItem(indexKey), []);
+    localStorage.setItem(indexKey, JSON.stringify(index.filter(itemId => itemId !== id)));
+
+    const access = this.getAccessTimes();
+    delete access[`${collection}/${id}`];
+    localStorage.setItem(LOCAL_STORAGE_ACCESS_KEY, JSON.stringify(access));
+  }
+
+  /**
+   * Last-access times for LRU eviction
+   * Records cached before the cache was bounded start out least recent
+   */
+  getAccessTimes() {
+    let access = safeJSONParse(localStorage.getItem(LOCAL_STORAGE_ACCESS_KEY), null);
+
+    if (!access) {
+      access = {};
+      Object.keys(COLLECTION_KEYS).forEach(collection => {
+        safeJSONParse(localStorage.getItem(`${collection}_index`), []).forEach(id => {
+          access[`${collection}/${id}`] = 0;
+        });
+      });
+    }
+
+    return access;
+  }
+
+  touch(collection, id) {
+    try {
+      const access = this.getAccessTimes();
+      access[`${collection}/${id}`] = Date.now();
+      localStorage.setItem(LOCAL_STORAGE_ACCESS_KEY, JSON.stringify(access));
+    } catch (e) {
+      // Recency is best effort - the record itself is already stored
+    }
+  }
+
+  read(collection, id) {
+    try {
+      return safeJSONParse(localStorage.getItem(`${collection}_${id}`));
+    } catch (e) {
+      console.error('localStorage get error:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Map a localStorage key back to the record it holds
+   * Returns { collection, id }, or null for index keys and unrelated keys
+   */
+  parseKey(key) {
+    const collection = Object.keys(COLLECTION_KEYS).find(c => key.startsWith(`${c}_`));
+    if (!collection) return null;
+
+    const id = key.slice(collection.length + 1);
+    if (id === 'index' || id.startsWith('by_')) return null;
+
+    return { collection, id };
+  }
+
+  /**
+   * Field index maps
+   * `${collection}_by_${field}` holds { [fieldValue]: [ids] } for each
+   * field in QUERY_INDEXES, mirroring the IndexedDB secondary indexes
+   */
+
+  getIndexedFieldValues(collection, record) {
+    const values = {};
+    if (!record) return values;
+    (QUERY_INDEXES[collection] || []).forEach(field => {
+      if (record[field] !== undefined && record[field] !== null) {
+        values[field] = record[field];
+      }
+    });
+    return values;
+  }
+
+  updateIndexes(collection, id, previous, current) {
+    for (const field of QUERY_INDEXES[collection] || []) {
+      if (previous[field] === current[field]) continue;
+
+      const mapKey = `${collection}_by_${field}`;
+      const map = safeJSONParse(localStorage.getItem(mapKey), null);
+      if (!map) continue; // Built on first query
+
+      if (previous[field] !== undefined) {
+        map[previous[field]] = (map[previous[field]] || []).filter(itemId => itemId !== id);
+        if (map[previous[field]].length === 0) delete map[previous[field]];
+      }
+      if (current[field] !== undefined) {
+        map[current[field]] = map[current[field]] || [];
+        if (!map[current[field]].includes(id)) map[current[field]].push(id);
+      }
+      localStorage.setItem(mapKey, JSON.stringify(map));
+    }
+  }
+
+  getIndexMap(collection, field) {
+    const mapKey = `${collection}_by_${field}`;
+    let map = safeJSONParse(localStorage.getItem(mapKey), null);
+
+    if (!map) {
+      // Build the map once from records already cached
+      map = {};
+      const index = safeJSONParse(localStorage.getItem(`${collection}_index`), []);
+      index.map(id => this.read(collection, id)).filter(Boolean).forEach(record => {
+        const value = record[field];
+        if (value === undefined || value === null) return;
+        map[value] = map[value] || [];
+        map[value].push(record[COLLECTION_KEYS[collection]]);
+      });
+      localStorage.setItem(mapKey, JSON.stringify(map));
+    }
+
+    return map;
+  }
+}
+
+/**
+ * IndexedDB backend
+ * One object store per collection plus the DBManager system stores
+ */
+class IndexedDBAdapter {
+  constructor(dbName = 'HoopinDB', dbVersion = 8) {
+    this.name = 'indexedDB';
+    this.remote = false;
+    this.systemStores = true;
+    this.dbName = dbName;
+    this.dbVersion = dbVersion;
+    this.db = null;
+  }
+
+  isAvailable() {
+    return !!this.db;
+  }
+
+  init() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        console.warn('⚠️ IndexedDB not supported');
+        resolve();
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onerror = () => {
+        console.error('❌ IndexedDB error:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        console.log('✅ IndexedDB opened successfully');
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        // Create object stores
+        if (!db.objectStoreNames.contains('groups')) {
+          db.createObjectStore('groups', { keyPath: 'groupId' });
+        }
+        if (!db.objectStoreNames.contains('teams')) {
+          db.createObjectStore('teams', { keyPath: 'teamId' });
+        }
+        if (!db.objectStoreNames.contains('players')) {
+          db.createObjectStore('players', { keyPath: 'playerId' });
+        }
+        if (!db.objectStoreNames.contains('syncQueue')) {
+          const syncStore = db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
+          syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // v2: layer metadata (schema version)
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+
+        // v3: secondary indexes for queryBy
+        const upgradeTransaction = event.target.transaction;
+        for (const [collection, fields] of Object.entries(QUERY_INDEXES)) {
+          if (!db.objectStoreNames.contains(collection)) continue; // Created (with its indexes) below
+          const store = upgradeTransaction.objectStore(collection);
+          fields.forEach(field => {
+            if (!store.indexNames.contains(field)) {
+              store.createIndex(field, field, { unique: false });
+            }
+          });
+        }
+
+        // v4: replayed writes that conflicted with remote changes
+        if (!db.objectStoreNames.contains('conflicts')) {
+          db.createObjectStore('conflicts', { keyPath: 'conflictId' });
+        }
+
+        // v5: queued writes that kept failing
+        if (!db.objectStoreNames.contains('deadLetter')) {
+          db.createObjectStore('deadLetter', { keyPath: 'id' });
+        }
+
+        // v6: player and team photos as Blobs
+        if (!db.objectStoreNames.contains('photos')) {
+          db.createObjectStore('photos', { keyPath: 'photoId' });
+        }
+
+        // v7: deletion markers, so deleted records aren't revived from other layers
+        if (!db.objectStoreNames.contains('tombstones')) {
+          db.createObjectStore('tombstones', { keyPath: 'key' });
+        }
+
+        // v8: append-only edit history
+        if (!db.objectStoreNames.contains('history')) {
+          const historyStore = db.createObjectStore('history', { keyPath: 'historyId' });
+          historyStore.createIndex('recordKey', 'recordKey', { unique: false });
+        }
+
+        console.log(`✅ IndexedDB stores upgraded (v${event.oldVersion} → v${event.newVersion})`);
+      };
+    });
+  }
+
+  /**
+   * Run a single request against one store
+   * Resolves with `fallback` when the database isn't open
+   */
+  request(collection, mode, makeRequest, fallback) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        resolve(fallback);
+        return;
+      }
+
+      try {
+        const transaction = this.db.transaction([collection], mode);
+        const request = makeRequest(transaction.objectStore(collection));
+
+        const result = () => (request.result === undefined ? fallback : request.result);
+
+        request.onerror = () => reject(request.error);
+        if (mode === 'readonly') {
+          request.onsuccess = () => resolve(result());
+        } else {
+          // Writes only count once committed - a full disk aborts the transaction
+          transaction.oncomplete = () => resolve(result());
+          transaction.onabort = () => {
+            if (isQuotaExceededError(transaction.error)) reportQuotaExceeded(this.name, transaction.error);
+            reject(transaction.error || new Error('IndexedDB transaction aborted'));
+          };
+        }
+      } catch (e) {
+        console.error(`IndexedDB ${collection} error:`, e);
+        resolve(fallback); // Don't fail the entire operation
+      }
+    });
+  }
+
+  get(collection, id) {
+    return this.request(collection, 'readonly', store => store.get(id), null);
+  }
+
+  getAll(collection) {
+    return this.request(collection, 'readonly', store => store.getAll(), []);
+  }
+
+  async put(collection, id, record) {
+    await this.request(collection, 'readwrite', store => store.put(record), null);
+  }
+
+  async delete(collection, id) {
+    await this.request(collection, 'readwrite', store => store.delete(id), null);
+  }
+
+  async query(collection, field, value) {
+    if (!(QUERY_INDEXES[collection] || []).includes(field)) {
+      const records = await this.getAll(collection);
+      return records.filter(record => record[field] === value);
+    }
+    return this.request(collection, 'readonly', store => store.index(field).getAll(value), []);
+  }
+
+  applyBatch(ops) {
+    return new Promise((resolve, reject) => {
+      if (!this.db || ops.length === 0) {
+        resolve();
+        return;
+      }
+
+      const stores = [...new Set(ops.map(op => op.collection))];
+      const transaction = this.db.transaction(stores, 'readwrite');
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => {
+        if (isQuotaExceededError(transaction.error)) reportQuotaExceeded(this.name, transaction.error);
+        reject(transaction.error || new Error('IndexedDB transaction aborted'));
+      };
+
+      try {
+        ops.forEach(op => {
+          const store = transaction.objectStore(op.collection);
+          if (op.type === 'save') {
+            store.put(op.data);
+          } else {
+            store.delete(op.id);
+          }
+        });
+      } catch (e) {
+        transaction.abort();
+        reject(e);
+      }
+    });
+  }
+
+  async clear() {
+    if (!this.db) return;
+
+    const stores = [...Object.keys(COLLECTION_KEYS), ...Object.keys(SYSTEM_STORE_KEYS)];
+    for (const collection of stores) {
+      await this.request(collection, 'readwrite', store => store.clear(), null);
+    }
+  }
+}
+
+/**
+ * Firebase Realtime Database backend
+ * Records live at `${collection}/${id}`
+ */
+class FirebaseAdapter {
+  constructor() {
+    this.name = 'firebase';
+    this.remote = true;
+    this.systemStores = false;
+  }
+
+  init() {
+    initializeFirebase();
+  }
+
+  isAvailable() {
+    return typeof isFirebaseAvailable === 'function' && isFirebaseAvailable();
+  }
+
+  async get(collection, id) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      const snapshot = await getDatabase().ref(`${collection}/${id}`).once('value');
+      return snapshot.val();
+    } catch (error) {
+      console.error('Firebase get error:', error);
+      return null;
+    }
+  }
+
+  async getAll(collection) {
+    if (!this.isAvailable()) return [];
+
+    try {
+      const snapshot = await getDatabase().ref(collection).once('value');
+      const data = snapshot.val();
+      return data ? Object.values(data) : [];
+    } catch (error) {
+      console.error('Firebase getAll error:', error);
+      return [];
+    }
+  }
+
+  async put(collection, id, record) {
+    if (!this.isAvailable()) return;
+
+    try {
+      await getDatabase().ref(`${collection}/${id}`).set(record);
+    } catch (error) {
+      console.error('Firebase save error:', error);
+      throw error;
+    }
+  }
+
+  async delete(collection, id) {
+    if (!this.isAvailable()) return;
+
+    try {
+      await getDatabase().ref(`${collection}/${id}`).remove();
+    } catch (error) {
+      console.error('Firebase delete error:', error);
+      throw error;
+    }
+  }
+
+  async query(collection, field, value) {
+    if (!this.isAvailable()) return [];
+
+    try {
+      const ref = getDatabase().ref(collection).orderByChild(field).equalTo(value);
+      const snapshot = await ref.once('value');
+      const data = snapshot.val();
+      return data ? Object.values(data) : [];
+    } catch (error) {
+      console.error('Firebase query error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * One multi-path update(), so the whole batch lands or none of it does
+   */
+  async applyBatch(ops) {
+    const updates = {};
+    ops.forEach(op => {
+      updates[`${op.collection}/${op.id}`] = op.type === 'save' ? op.data : null;
+    });
+    await getDatabase().ref().update(updates);
+  }
+
+  /**
+   * Listen for changes to records where record[field] === value
+   * (field null matches the record whose id is value)
+   * @param {Function} callback - receives (type: 'save'|'delete', id, record)
+   * @returns {Function} unsubscribe
+   */
+  watch(collection, field, value, callback) {
+    const ref = getDatabase().ref(collection);
+    const query = field ? ref.orderByChild(field).equalTo(value) : ref.orderByKey().equalTo(value);
+
+    const onChange = (snapshot) => callback('save', snapshot.key, snapshot.val());
+    const onRemove = (snapshot) => callback('delete', snapshot.key, snapshot.val());
+
+    query.on('child_added', onChange);
+    query.on('child_changed', onChange);
+    query.on('child_removed', onRemove);
+
+    return () => {
+      query.off('child_added', onChange);
+      query.off('child_changed', onChange);
+      query.off('child_removed', onRemove);
+    };
+  }
+}
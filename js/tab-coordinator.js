@@ -0,0 +1,176 @@
+/**
+ * Tab Coordination
+ * Lets the app's open tabs cooperate over a BroadcastChannel
+ *
+ * Leader election: the leader is the tab holding a Web Lock. The browser
+ * grants it to one tab at a time and hands it to a waiting tab when the
+ * holder closes or crashes - no timers involved, so a leader in a throttled
+ * background tab stays the leader. DBManager lets only the leader replay the
+ * sync queue.
+ *
+ * Without Web Locks, every tab sends heartbeats and the tab that has been
+ * open longest among those heard from recently leads. A new tab listens for
+ * one round of heartbeats before it can lead, and a tab not heard from for
+ * TAB_TIMEOUT drops out.
+ *
+ * Tabs also post each other messages ({ type, ...data }) - DBManager uses
+ * them for writes, sync status and sync requests.
+ */
+
+const TAB_CHANNEL_NAME = 'hoopin';
+const TAB_LEADER_LOCK = 'hoopin-sync-leader';
+
+// Heartbeat fallback. Browsers run background tabs' timers as rarely as once
+// a minute, so a tab is only taken for gone well after that
+const TAB_HEARTBEAT_INTERVAL = 2000;
+const TAB_TIMEOUT = 3 * 60 * 1000;
+
+class TabCoordinator {
+  constructor(channelName = TAB_CHANNEL_NAME) {
+    this.tabId = generateId('tab');
+    this.startedAt = Date.now();
+    this.tabs = new Map(); // tabId -> { startedAt, lastSeen }
+    this.leader = false;
+    this.electing = false;
+    this.handlers = {};
+    this.leaderListeners = [];
+
+    this.heartbeatTimer = null;
+
+    this.channel = new BroadcastChannel(channelName);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+    if (TabCoordinator.hasLocks()) {
+      this.requestLeaderLock();
+    } else {
+      this.startHeartbeats();
+    }
+  }
+
+  static isSupported() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  static hasLocks() {
+    return typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+  }
+
+  /**
+   * Queue for the leader lock and lead once it's granted (straight away
+   * when no other tab holds it). The lock is held until the tab goes away.
+   */
+  requestLeaderLock() {
+    navigator.locks.request(TAB_LEADER_LOCK, () => {
+      this.setLeader(true);
+      return new Promise(() => {});
+    }).catch((error) => {
+      console.error('Leader lock error:', error);
+      this.startHeartbeats();
+    });
+  }
+
+  startHeartbeats() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeat();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), TAB_HEARTBEAT_INTERVAL);
+
+    // Hear the other tabs out before taking the lead
+    setTimeout(() => {
+      this.electing = true;
+      this.electLeader();
+    }, TAB_HEARTBEAT_INTERVAL + 500);
+
+    window.addEventListener('pagehide', () => this.post({ type: 'leave' }));
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Send a message to every other tab
+   */
+  post(message) {
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      console.error('Tab message error:', error);
+    }
+  }
+
+  /**
+   * Handle messages of one type from other tabs
+   */
+  on(type, handler) {
+    if (!this.handlers[type]) {
+      this.handlers[type] = [];
+    }
+    this.handlers[type].push(handler);
+  }
+
+  /**
+   * Call back with true/false when this tab gains or loses the lead
+   */
+  onLeaderChange(callback) {
+    this.leaderListeners.push(callback);
+  }
+
+  heartbeat() {
+    this.post({ type: 'heartbeat', startedAt: this.startedAt });
+
+    const now = Date.now();
+    this.tabs.forEach((tab, tabId) => {
+      if (now - tab.lastSeen > TAB_TIMEOUT) this.tabs.delete(tabId);
+    });
+    this.electLeader();
+  }
+
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) return;
+
+    if (message.type === 'heartbeat') {
+      const known = this.tabs.has(message.from);
+      this.tabs.set(message.from, { startedAt: message.startedAt, lastSeen: Date.now() });
+
+      // Answer a new tab right away, so it doesn't wait a full interval
+      if (!known) this.post({ type: 'heartbeat', startedAt: this.startedAt });
+      this.electLeader();
+      return;
+    }
+
+    if (message.type === 'leave') {
+      this.tabs.delete(message.from);
+      this.electLeader();
+      return;
+    }
+
+    (this.handlers[message.type] || []).forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Tab message handler error:', error);
+      }
+    });
+  }
+
+  /**
+   * Heartbeat fallback: the oldest tab leads (ties broken by id)
+   */
+  electLeader() {
+    if (!this.electing) return;
+
+    const olderTabExists = [...this.tabs.entries()].some(([tabId, tab]) =>
+      tab.startedAt < this.startedAt || (tab.startedAt === this.startedAt && tabId < this.tabId)
+    );
+    this.setLeader(!olderTabExists);
+  }
+
+  setLeader(leader) {
+    if (leader === this.leader) return;
+
+    this.leader = leader;
+    console.log(leader ? '👑 This tab now leads sync' : '🤝 Another tab leads sync');
+    this.leaderListeners.forEach(callback => callback(leader));
+  }
+}
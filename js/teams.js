@@ -4,6 +4,21 @@
  */
 
 class TeamManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   * @param {PhotoManager} [options.photoManager]
+   * @param {TrashManager} [options.trashManager]
+   * @param {UndoManager} [options.undoManager]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.photoManager = options.photoManager || photoManager;
+    this.trashManager = options.trashManager || trashManager;
+    this.undoManager = options.undoManager || undoManager;
+  }
+
   /**
    * Create new team
    */
@@ -20,11 +35,12 @@ class TeamManager {
           console.warn('Photo compression failed, using original');
         }
       }
+      const { teamPhotoId } = await this.photoManager.storePhotoField('teams', { teamPhoto });
       
       const team = {
         teamId,
         teamName: teamData.teamName,
-        teamPhoto,
+        teamPhotoId: teamPhotoId || '',
         manager: teamData.manager || 'Anonymous',
         groupId: teamData.groupId,
         createdAt: Date.now(),
@@ -35,12 +51,21 @@ class TeamManager {
         }
       };
 
-      await dbManager.save('teams', teamId, team);
+      const ops = [{ type: 'save', collection: 'teams', id: teamId, data: team }];
       
-      // Add team to group
-      if (teamData.groupId) {
-        await groupManager.addTeamToGroup(teamData.groupId, teamId);
+      // Add team to group in the same transaction
+      const group = teamData.groupId ? await this.db.get('groups', teamData.groupId) : null;
+      if (group && !group.teams.includes(teamId)) {
+        ops.push({
+          type: 'save',
+          collection: 'groups',
+          id: group.groupId,
+          data: { ...group, teams: [...group.teams, teamId] }
+        });
       }
+
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(`Add ${team.teamName}`, ops, group ? { [group.groupId]: group } : {});
       
       console.log('✅ Team created:', teamId);
       return { success: true, team };
@@ -55,8 +80,8 @@ class TeamManager {
    */
   async getTeam(teamId) {
     try {
-      const team = await dbManager.get('teams', teamId);
-      return team;
+      const team = await this.db.get('teams', teamId);
+      return this.trashManager.isTrashed(team) ? null : team;
     } catch (error) {
       console.error('❌ Get team error:', error);
       return null;
@@ -68,9 +93,9 @@ class TeamManager {
    */
   async updateTeam(teamId, updates) {
     try {
-      const team = await dbManager.get('teams', teamId);
+      const team = await this.db.get('teams', teamId);
       
-      if (!team) {
+      if (!team || this.trashManager.isTrashed(team)) {
         return { success: false, error: 'Team not found' };
       }
 
@@ -83,6 +108,9 @@ class TeamManager {
         }
       }
 
+      // Store a new photo by reference (no new photo keeps the current one)
+      await this.photoManager.storePhotoField('teams', updates, team);
+
       const updatedTeam = {
         ...team,
         ...updates,
@@ -90,7 +118,8 @@ class TeamManager {
         updatedAt: Date.now()
       };
 
-      await dbManager.save('teams', teamId, updatedTeam);
+      await this.db.save('teams', teamId, updatedTeam);
+      this.undoManager.record(`Edit ${team.teamName}`, [{ collection: 'teams', id: teamId, before: team, after: updatedTeam }]);
       
       console.log('✅ Team updated:', teamId);
       return { success: true, team: updatedTeam };
@@ -101,31 +130,46 @@ class TeamManager {
   }
 
   /**
-   * Delete team
+   * Delete team (moves it and its players to the trash)
    */
   async deleteTeam(teamId) {
     try {
-      const team = await dbManager.get('teams', teamId);
+      const team = await this.db.get('teams', teamId);
       
-      if (!team) {
+      if (!team || this.trashManager.isTrashed(team)) {
         return { success: false, error: 'Team not found' };
       }
 
-      // Delete all players in this team
-      const players = await dbManager.query('players', player => player.teamId === teamId);
-      for (const player of players) {
-        await dbManager.delete('players', player.playerId);
-      }
+      const deletedAt = Date.now();
+      const previous = { [teamId]: team };
+
+      // Trash all players in this team (the roster stays on the team for restore)
+      const players = (await this.db.queryBy('players', 'teamId', teamId))
+        .filter(player => !this.trashManager.isTrashed(player));
+      const ops = players.map(player => {
+        previous[player.playerId] = player;
+        return this.trashManager.trashOp('players', player.playerId, player, deletedAt, teamId);
+      });
 
       // Remove team from group
-      if (team.groupId) {
-        await groupManager.removeTeamFromGroup(team.groupId, teamId);
+      const group = team.groupId ? await this.db.get('groups', team.groupId) : null;
+      if (group) {
+        ops.push({
+          type: 'save',
+          collection: 'groups',
+          id: group.groupId,
+          data: { ...group, teams: group.teams.filter(id => id !== teamId) }
+        });
+        previous[group.groupId] = group;
       }
 
-      // Delete the team
-      await dbManager.delete('teams', teamId);
+      // Trash the team
+      ops.push(this.trashManager.trashOp('teams', teamId, team, deletedAt));
+
+      await this.db.transaction(ops);
+      this.undoManager.recordOps(`Delete ${team.teamName}`, ops, previous);
       
-      console.log('✅ Team deleted:', teamId);
+      console.log('✅ Team trashed:', teamId);
       return { success: true };
     } catch (error) {
       console.error('❌ Delete team error:', error);
@@ -138,7 +182,8 @@ class TeamManager {
    */
   async getTeamPlayers(teamId) {
     try {
-      const players = await dbManager.query('players', player => player.teamId === teamId);
+      const players = (await this.db.queryBy('players', 'teamId', teamId))
+        .filter(player => !this.trashManager.isTrashed(player));
       
       // Sort by overall rating (descending)
       players.sort((a, b) => b.overall - a.overall);
@@ -155,9 +200,9 @@ class TeamManager {
    */
   async getTeamRoster(teamId) {
     try {
-      const team = await dbManager.get('teams', teamId);
+      const team = await this.db.get('teams', teamId);
       
-      if (!team) {
+      if (!team || this.trashManager.isTrashed(team)) {
         return { starters: [], bench: [] };
       }
 
@@ -176,12 +221,16 @@ class TeamManager {
         }
       });
 
-      // Update team roster in database
-      team.roster = {
+      // Update team roster in database (only when it changed, so
+      // subscribers aren't woken up by every read)
+      const roster = {
         starters: starters.map(p => p.playerId),
         bench: bench.map(p => p.playerId)
       };
-      await dbManager.save('teams', teamId, team);
+      if (JSON.stringify(roster) !== JSON.stringify(team.roster)) {
+        team.roster = roster;
+        await this.db.save('teams', teamId, team);
+      }
 
       return { starters, bench };
     } catch (error) {
@@ -195,18 +244,22 @@ class TeamManager {
    */
   async updateRoster(teamId, starters, bench) {
     try {
-      const team = await dbManager.get('teams', teamId);
+      const team = await this.db.get('teams', teamId);
       
-      if (!team) {
+      if (!team || this.trashManager.isTrashed(team)) {
         return { success: false, error: 'Team not found' };
       }
 
-      team.roster = {
-        starters: starters.map(p => p.playerId || p),
-        bench: bench.map(p => p.playerId || p)
+      const updatedTeam = {
+        ...team,
+        roster: {
+          starters: starters.map(p => p.playerId || p),
+          bench: bench.map(p => p.playerId || p)
+        }
       };
 
-      await dbManager.save('teams', teamId, team);
+      await this.db.save('teams', teamId, updatedTeam);
+      this.undoManager.record(`${team.teamName} roster change`, [{ collection: 'teams', id: teamId, before: team, after: updatedTeam }]);
       
       console.log('✅ Roster updated:', teamId);
       return { success: true };
@@ -216,6 +269,19 @@ class TeamManager {
     }
   }
 
+  /**
+   * Subscribe to changes to a team or any of its players
+   * @returns {Function} unsubscribe
+   */
+  onTeamRosterChange(teamId, callback) {
+    const notify = debounce(callback, 100);
+    const unsubscribers = [
+      this.db.subscribe('teams', { teamId }, notify),
+      this.db.subscribe('players', { teamId }, notify)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
   /**
    * Get team stats
    */
@@ -258,7 +324,8 @@ class TeamManager {
    */
   async getTeamsByGroup(groupId) {
     try {
-      const teams = await dbManager.query('teams', team => team.groupId === groupId);
+      const teams = (await this.db.queryBy('teams', 'groupId', groupId))
+        .filter(team => !this.trashManager.isTrashed(team));
       
       // Sort by creation date
       teams.sort((a, b) => b.createdAt - a.createdAt);
@@ -275,7 +342,8 @@ class TeamManager {
    */
   async getAllTeams() {
     try {
-      return await dbManager.getAll('teams');
+      const teams = await this.db.getAll('teams');
+      return teams.filter(team => !this.trashManager.isTrashed(team));
     } catch (error) {
       console.error('❌ Get all teams error:', error);
       return [];
@@ -0,0 +1,280 @@
+/**
+ * Trash
+ * Soft-deleted groups, teams and players, with restore and automatic purge
+ *
+ * Deleting marks a record with `deletedAt` instead of removing it. Records
+ * trashed along with a parent (a team's players, a group's teams) also get
+ * `deletedWith` set to the parent's id, so restoring the parent brings back
+ * exactly what went with it - and nothing that was trashed on its own.
+ */
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Expired trash is looked for at start-up at most this often
+const TRASH_PURGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+class TrashManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+  }
+
+  /**
+   * Get/set how long trashed items are kept before being purged
+   */
+  getRetentionDays() {
+    return storage.get('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+  }
+
+  setRetentionDays(days) {
+    const value = parseInt(days);
+    if (isNaN(value) || value < 1) {
+      throw new Error('Retention must be at least 1 day');
+    }
+    storage.set('trashRetentionDays', value);
+  }
+
+  /**
+   * Check if record is in the trash
+   */
+  isTrashed(record) {
+    return !!(record && record.deletedAt);
+  }
+
+  /**
+   * Build a transaction op that moves a record to the trash
+   */
+  trashOp(collection, id, record, deletedAt, deletedWith = null) {
+    return {
+      type: 'save',
+      collection,
+      id,
+      data: { ...record, deletedAt, deletedWith }
+    };
+  }
+
+  /**
+   * Build a transaction op that takes a record out of the trash
+   */
+  restoreOp(collection, id, record) {
+    const { deletedAt, deletedWith, ...restored } = record;
+    return { type: 'save', collection, id, data: restored };
+  }
+
+  /**
+   * Get trashed items, optionally limited to one group
+   */
+  async getTrash(groupId = null) {
+    try {
+      const groups = await this.db.getAll('groups');
+      const teams = await this.db.getAll('teams');
+      const players = await this.db.getAll('players');
+
+      const teamGroups = {};
+      teams.forEach(team => {
+        teamGroups[team.teamId] = team.groupId;
+      });
+
+      const inGroup = (id) => !groupId || id === groupId;
+      const byNewest = (a, b) => b.deletedAt - a.deletedAt;
+
+      return {
+        groups: groups.filter(g => this.isTrashed(g) && inGroup(g.groupId)).sort(byNewest),
+        teams: teams.filter(t => this.isTrashed(t) && inGroup(t.groupId)).sort(byNewest),
+        players: players.filter(p => this.isTrashed(p) && inGroup(teamGroups[p.teamId])).sort(byNewest)
+      };
+    } catch (error) {
+      console.error('❌ Get trash error:', error);
+      return { groups: [], teams: [], players: [] };
+    }
+  }
+
+  /**
+   * Restore player
+   */
+  async restorePlayer(playerId) {
+    try {
+      const player = await this.db.get('players', playerId);
+
+      if (!this.isTrashed(player)) {
+        return { success: false, error: 'Player is not in the trash' };
+      }
+
+      const team = await this.db.get('teams', player.teamId);
+      if (this.isTrashed(team)) {
+        return { success: false, error: 'Restore the team first' };
+      }
+
+      await this.db.transaction([this.restoreOp('players', playerId, player)]);
+
+      console.log('♻️ Player restored:', playerId);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Restore player error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore team with the players and roster it was deleted with
+   */
+  async restoreTeam(teamId) {
+    try {
+      const team = await this.db.get('teams', teamId);
+
+      if (!this.isTrashed(team)) {
+        return { success: false, error: 'Team is not in the trash' };
+      }
+
+      const group = team.groupId ? await this.db.get('groups', team.groupId) : null;
+      if (this.isTrashed(group)) {
+        return { success: false, error: 'Restore the group first' };
+      }
+
+      // The roster was kept on the trashed team record
+      const ops = [this.restoreOp('teams', teamId, team)];
+
+      const players = await this.db.queryBy('players', 'teamId', teamId);
+      players
+        .filter(player => player.deletedWith === teamId)
+        .forEach(player => ops.push(this.restoreOp('players', player.playerId, player)));
+
+      if (group && !group.teams.includes(teamId)) {
+        ops.push({
+          type: 'save',
+          collection: 'groups',
+          id: group.groupId,
+          data: { ...group, teams: [...group.teams, teamId] }
+        });
+      }
+
+      await this.db.transaction(ops);
+
+      console.log('♻️ Team restored:', teamId);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Restore team error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore group with the teams and players it was deleted with
+   */
+  async restoreGroup(groupId) {
+    try {
+      const group = await this.db.get('groups', groupId);
+
+      if (!this.isTrashed(group)) {
+        return { success: false, error: 'Group is not in the trash' };
+      }
+
+      const ops = [this.restoreOp('groups', groupId, group)];
+
+      const teams = await this.db.queryBy('teams', 'groupId', groupId);
+      for (const team of teams) {
+        if (team.deletedWith === groupId) {
+          ops.push(this.restoreOp('teams', team.teamId, team));
+        }
+        const players = await this.db.queryBy('players', 'teamId', team.teamId);
+        players
+          .filter(player => player.deletedWith === groupId)
+          .forEach(player => ops.push(this.restoreOp('players', player.playerId, player)));
+      }
+
+      await this.db.transaction(ops);
+
+      console.log('♻️ Group restored:', groupId);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Restore group error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore any trashed record
+   */
+  async restore(collection, id) {
+    if (collection === 'players') return this.restorePlayer(id);
+    if (collection === 'teams') return this.restoreTeam(id);
+    if (collection === 'groups') return this.restoreGroup(id);
+    return { success: false, error: `Unknown collection: ${collection}` };
+  }
+
+  /**
+   * Permanently delete a trashed record and everything trashed with it
+   */
+  async purge(collection, id) {
+    try {
+      const record = await this.db.get(collection, id);
+
+      if (!this.isTrashed(record)) {
+        return { success: false, error: 'Item is not in the trash' };
+      }
+
+      const ops = [{ type: 'delete', collection, id }];
+      const trash = await this.getTrash();
+
+      for (const [trashCollection, key] of [['teams', 'teamId'], ['players', 'playerId']]) {
+        trash[trashCollection]
+          .filter(item => item.deletedWith === id)
+          .forEach(item => ops.push({ type: 'delete', collection: trashCollection, id: item[key] }));
+      }
+
+      await this.db.transaction(ops);
+
+      console.log('🗑️ Purged:', collection, id);
+      return { success: true, purged: ops.length };
+    } catch (error) {
+      console.error('❌ Purge error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Purge expired trash at most once a day on this device (app start-up)
+   */
+  async purgeExpiredIfDue() {
+    const lastPurgeAt = storage.get('lastPurgeAt', 0);
+    if (Date.now() - lastPurgeAt < TRASH_PURGE_INTERVAL) {
+      return { success: true, purged: 0 };
+    }
+    return this.purgeExpired();
+  }
+
+  /**
+   * Permanently delete everything trashed longer than the retention period
+   */
+  async purgeExpired() {
+    try {
+      const cutoff = Date.now() - this.getRetentionDays() * 24 * 60 * 60 * 1000;
+      const trash = await this.getTrash();
+      const ops = [];
+
+      for (const [collection, key] of [['groups', 'groupId'], ['teams', 'teamId'], ['players', 'playerId']]) {
+        trash[collection]
+          .filter(item => item.deletedAt < cutoff)
+          .forEach(item => ops.push({ type: 'delete', collection, id: item[key] }));
+      }
+
+      if (ops.length > 0) {
+        await this.db.transaction(ops);
+        console.log(`🗑️ Purged ${ops.length} expired trash items`);
+      }
+      storage.set('lastPurgeAt', Date.now());
+
+      return { success: true, purged: ops.length };
+    } catch (error) {
+      console.error('❌ Purge expired error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Create global instance
+const trashManager = new TrashManager();
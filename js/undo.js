@@ -0,0 +1,245 @@
+/**
+ * Undo / Redo
+ * Command stack around the managers' mutations (create, update, delete and
+ * roster changes for players, teams and groups)
+ *
+ * A command stores, per record, the fields the mutation changed with their
+ * values before and after. Undoing writes the "before" values back, redoing
+ * the "after" values - but only while the record still holds the values the
+ * command expects, so an undo never overwrites a later edit (another
+ * member's, or one made in another tab). Creating a record is undone by
+ * moving it to the trash.
+ *
+ * The stack is kept in sessionStorage, so it survives a reload but not the
+ * end of the session.
+ */
+
+const UNDO_LIMIT = 50;
+const UNDO_STORAGE_KEY = 'undoStack';
+
+// Old photos are deleted when replaced, so photo references aren't undone
+const UNDO_IGNORED_FIELDS = ['playerPhotoId', 'teamPhotoId'];
+
+class UndoManager {
+  /**
+   * @param {Object} [options] - collaborators (default to the page's global
+   *   instances; pass your own to run headless, see scripts/headless-check.js)
+   * @param {DBManager} [options.db]
+   * @param {TrashManager} [options.trashManager]
+   * @param {GroupManager} [options.groupManager]
+   */
+  constructor(options = {}) {
+    this.db = options.db || dbManager;
+    this.trashManager = options.trashManager || trashManager;
+    // groups.js loads after this file - without one passed in, the page's
+    // groupManager is looked up when it's needed
+    this.groupManager = options.groupManager || null;
+
+    const saved = session.get(UNDO_STORAGE_KEY, null);
+    this.undoStack = saved ? saved.undo : [];
+    this.redoStack = saved ? saved.redo : [];
+    this.applying = null;
+  }
+
+  /**
+   * Record a mutation that just succeeded
+   * @param {string} label - shown as "Undo <label>"
+   * @param {Array<{collection, id, before, after}>} changes - records before
+   *   and after the mutation (before is null for a created record)
+   */
+  record(label, changes) {
+    const recorded = changes
+      .map(({ collection, id, before, after }) => ({
+        collection,
+        id,
+        fields: before
+          ? this.db.diffRecords(before, after).filter(change => !UNDO_IGNORED_FIELDS.includes(change.field))
+          : [{ field: 'deletedAt', from: Date.now(), to: null }]
+      }))
+      .filter(change => change.fields.length > 0);
+
+    if (recorded.length === 0) return;
+
+    this.undoStack.push({ commandId: generateId('command'), label, timestamp: Date.now(), changes: recorded });
+    if (this.undoStack.length > UNDO_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.persist();
+  }
+
+  /**
+   * Record a mutation made as a dbManager.transaction
+   * @param {Array} ops - the transaction's ops
+   * @param {Object} previous - id -> the record an op replaced (ops without
+   *   a previous record created one)
+   */
+  recordOps(label, ops, previous = {}) {
+    const changes = ops
+      .filter(op => op.type === 'save')
+      .map(op => ({ collection: op.collection, id: op.id, before: previous[op.id] || null, after: op.data }));
+    this.record(label, changes);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Label of the command the next undo/redo would apply
+   */
+  getUndoLabel() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  getRedoLabel() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  /**
+   * Undo the last command
+   */
+  async undo() {
+    return this.step(this.undoStack, this.redoStack, 'undo');
+  }
+
+  /**
+   * Redo the last undone command
+   */
+  async redo() {
+    return this.step(this.redoStack, this.undoStack, 'redo');
+  }
+
+  async step(from, to, direction) {
+    // One at a time - a held-down Ctrl+Z shouldn't apply commands out of order
+    if (this.applying) return this.applying;
+
+    this.applying = (async () => {
+      const command = from[from.length - 1];
+      if (!command) {
+        return { success: false, error: `Nothing to ${direction}` };
+      }
+
+      try {
+        await this.apply(command, direction);
+
+        from.pop();
+        to.push(command);
+        this.persist();
+
+        console.log(`↩️ ${direction === 'undo' ? 'Undid' : 'Redid'}:`, command.label);
+        return { success: true, label: command.label };
+      } catch (error) {
+        // A command that no longer matches the data never will again
+        if (error.stale) {
+          from.pop();
+          this.persist();
+        }
+        console.error(`❌ ${direction === 'undo' ? 'Undo' : 'Redo'} error:`, error);
+        return { success: false, label: command.label, error: error.message };
+      } finally {
+        this.applying = null;
+      }
+    })();
+
+    return this.applying;
+  }
+
+  /**
+   * Write a command's before (undo) or after (redo) values in one transaction
+   */
+  async apply(command, direction) {
+    const expect = direction === 'undo' ? 'to' : 'from';
+    const write = direction === 'undo' ? 'from' : 'to';
+    const ops = [];
+
+    for (const change of command.changes) {
+      const current = await this.db.get(change.collection, change.id);
+      const stale = !current || change.fields.some(field =>
+        !conflictResolver.isEqual(this.normalize(this.getField(current, field.field)), this.normalize(field[expect]))
+      );
+
+      if (stale) {
+        const error = new Error(`"${command.label}" can't be ${direction === 'undo' ? 'undone' : 'redone'} - it was changed since`);
+        error.stale = true;
+        throw error;
+      }
+
+      const data = deepClone(current);
+      change.fields.forEach(field => this.setField(data, field.field, field[write]));
+      ops.push({ type: 'save', collection: change.collection, id: change.id, data });
+    }
+
+    await this.db.transaction(ops);
+
+    // Keep the session's group in step with an undone create/delete
+    ops.forEach((op, i) => {
+      if (op.collection !== 'groups') return;
+      if (!command.changes[i].fields.some(field => field.field === 'deletedAt')) return;
+
+      const groups = this.groupManager || groupManager;
+      const current = groups.getCurrentGroup();
+      if (this.trashManager.isTrashed(op.data)) {
+        if (current && current.groupId === op.id) groups.clearCurrentGroup();
+      } else if (!current) {
+        groups.setCurrentGroup(op.data);
+      }
+    });
+  }
+
+  /**
+   * Read/write a dotted field path ('stats.face'); missing reads as null
+   */
+  getField(record, path) {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), record);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * A value as Firebase hands it back: no null or empty array/object fields
+   * (it drops them) and keys in sorted order - so a record that went through
+   * a sync still matches the values a command recorded
+   */
+  normalize(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.map(item => this.normalize(item)) : undefined;
+    }
+    if (!conflictResolver.isPlainObject(value)) {
+      return value === null ? undefined : value;
+    }
+
+    const normalized = {};
+    Object.keys(value).sort().forEach(key => {
+      const item = this.normalize(value[key]);
+      if (item !== undefined) normalized[key] = item;
+    });
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+  }
+
+  setField(record, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+      if (!conflictResolver.isPlainObject(obj[key])) obj[key] = {};
+      return obj[key];
+    }, record);
+    parent[last] = value;
+  }
+
+  persist() {
+    session.set(UNDO_STORAGE_KEY, { undo: this.undoStack, redo: this.redoStack });
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.persist();
+  }
+}
+
+// Create global instance
+const undoManager = new UndoManager();
@@ -81,11 +81,27 @@ function hideLoading() {
   }
 }
 
-// Show toast notification
-function showToast(message, type = 'info', duration = 3000) {
+// Show toast notification, optionally with an action button ({ label, onClick })
+function showToast(message, type = 'info', duration = 3000, action = null) {
   const toast = document.createElement('div');
   toast.className = `toast toast-${type}`;
   toast.textContent = message;
+
+  const hide = () => {
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 300);
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      hide();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
   
   document.body. appendChild(toast);
   
@@ -93,10 +109,7 @@ function showToast(message, type = 'info', duration = 3000) {
   setTimeout(() => toast.classList.add('show'), 10);
   
   // Remove toast
-  setTimeout(() => {
-    toast.classList.remove('show');
-    setTimeout(() => toast.remove(), 300);
-  }, duration);
+  setTimeout(hide, duration);
 }
 
 // Validate required fields
@@ -119,6 +132,7 @@ function validateForm(formData, requiredFields) {
 function deepClone(obj) {
   if (obj === null || typeof obj !== 'object') return obj;
   if (obj instanceof Date) return new Date(obj);
+  if (typeof Blob !== 'undefined' && obj instanceof Blob) return obj; // Immutable
   if (obj instanceof Array) return obj.map(item => deepClone(item));
   
   const clonedObj = {};
@@ -130,8 +144,16 @@ function deepClone(obj) {
   return clonedObj;
 }
 
+// Deep freeze object (for shared values no caller may change)
+function deepFreeze(obj) {
+  if (obj === null || typeof obj !== 'object' || Object.isFrozen(obj)) return obj;
+  Object.values(obj).forEach(value => deepFreeze(value));
+  return Object.freeze(obj);
+}
+
 // Safe JSON parse
 function safeJSONParse(str, fallback = null) {
+  if (str === null || str === undefined) return fallback; // Missing key
   try {
     return JSON.parse(str);
   } catch (e) {
@@ -196,7 +218,8 @@ function isIOS() {
 function sanitizeHTML(str) {
   const div = document. createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Format file size
@@ -244,9 +267,13 @@ async function shareData(data) {
   }
 }
 
+// Node scripts and tests have no Web Storage - the helpers below fall back quietly
+const hasWebStorage = (name) => typeof globalThis[name] !== 'undefined';
+
 // Local storage helpers with error handling
 const storage = {
   set(key, value) {
+    if (!hasWebStorage('localStorage')) return false;
     try {
       localStorage.setItem(key, JSON.stringify(value));
       return true;
@@ -257,6 +284,7 @@ const storage = {
   },
   
   get(key, fallback = null) {
+    if (!hasWebStorage('localStorage')) return fallback;
     try {
       const item = localStorage.getItem(key);
       return item ?  JSON.parse(item) : fallback;
@@ -267,6 +295,7 @@ const storage = {
   },
   
   remove(key) {
+    if (!hasWebStorage('localStorage')) return false;
     try {
       localStorage.removeItem(key);
       return true;
@@ -277,6 +306,7 @@ const storage = {
   },
   
   clear() {
+    if (!hasWebStorage('localStorage')) return false;
     try {
       localStorage.clear();
       return true;
@@ -290,6 +320,7 @@ const storage = {
 // Session storage helpers
 const session = {
   set(key, value) {
+    if (!hasWebStorage('sessionStorage')) return false;
     try {
       sessionStorage.setItem(key, JSON.stringify(value));
       return true;
@@ -300,6 +331,7 @@ const session = {
   },
   
   get(key, fallback = null) {
+    if (!hasWebStorage('sessionStorage')) return fallback;
     try {
       const item = sessionStorage.getItem(key);
       return item ? JSON.parse(item) : fallback;
@@ -310,6 +342,7 @@ const session = {
   },
   
   remove(key) {
+    if (!hasWebStorage('sessionStorage')) return false;
     try {
       sessionStorage. removeItem(key);
       return true;
@@ -320,30 +353,33 @@ const session = {
   }
 };
 
-// Expose to window for global access
-window.generateId = generateId;
-window. hashPassword = hashPassword;
-window.formatDate = formatDate;
-window.debounce = debounce;
-window.throttle = throttle;
-window.showLoading = showLoading;
-window.hideLoading = hideLoading;
-window.showToast = showToast;
-window.validateForm = validateForm;
-window. deepClone = deepClone;
-window.safeJSONParse = safeJSONParse;
-window.getQueryParams = getQueryParams;
-window.buildUrl = buildUrl;
-window. navigateTo = navigateTo;
-window.setQueryParam = setQueryParam;
-window.removeQueryParam = removeQueryParam;
-window.isMobileDevice = isMobileDevice;
-window.isIOS = isIOS;
-window.sanitizeHTML = sanitizeHTML;
-window.formatFileSize = formatFileSize;
-window.copyToClipboard = copyToClipboard;
-window.shareData = shareData;
-window.storage = storage;
-window.session = session;
+// Expose to window for global access (Node scripts share the top-level declarations instead)
+if (typeof window !== 'undefined') {
+  window.generateId = generateId;
+  window.hashPassword = hashPassword;
+  window.formatDate = formatDate;
+  window.debounce = debounce;
+  window.throttle = throttle;
+  window.showLoading = showLoading;
+  window.hideLoading = hideLoading;
+  window.showToast = showToast;
+  window.validateForm = validateForm;
+  window.deepClone = deepClone;
+  window.deepFreeze = deepFreeze;
+  window.safeJSONParse = safeJSONParse;
+  window.getQueryParams = getQueryParams;
+  window.buildUrl = buildUrl;
+  window.navigateTo = navigateTo;
+  window.setQueryParam = setQueryParam;
+  window.removeQueryParam = removeQueryParam;
+  window.isMobileDevice = isMobileDevice;
+  window.isIOS = isIOS;
+  window.sanitizeHTML = sanitizeHTML;
+  window.formatFileSize = formatFileSize;
+  window.copyToClipboard = copyToClipboard;
+  window.shareData = shareData;
+  window.storage = storage;
+  window.session = session;
+}
 
 console.log('✅ Utils loaded');
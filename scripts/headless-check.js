@@ -0,0 +1,232 @@
+/**
+ * Headless Check
+ * Runs the data layer and managers in Node against in-memory storage
+ *
+ *   node scripts/headless-check.js
+ *
+ * The app is plain browser scripts sharing top-level declarations, so they
+ * are loaded the same way here - in order, into one global scope.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the pages' <script> tags (UI-only scripts left out)
+const SCRIPTS = [
+  'utils.js',
+  'image-optimizer.js',
+  'migrations.js',
+  'conflict-resolver.js',
+  'tab-coordinator.js',
+  'storage-adapters.js',
+  'db-manager.js',
+  'trash.js',
+  'photos.js',
+  'undo.js',
+  'ratings.js',
+  'groups.js',
+  'teams.js',
+  'players.js',
+  'divisions.js'
+];
+
+for (const file of SCRIPTS) {
+  const filename = path.join(__dirname, '..', 'js', file);
+  vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+// Top-level classes and constants live in the scripts' global scope
+const lookup = (name) => vm.runInThisContext(name);
+
+/**
+ * A full set of managers around one DBManager
+ */
+function createManagers(db) {
+  const TrashManager = lookup('TrashManager');
+  const PhotoManager = lookup('PhotoManager');
+  const UndoManager = lookup('UndoManager');
+  const GroupManager = lookup('GroupManager');
+  const TeamManager = lookup('TeamManager');
+  const PlayerManager = lookup('PlayerManager');
+
+  const trashManager = new TrashManager({ db });
+  const photoManager = new PhotoManager({ db });
+  const undoManager = new UndoManager({ db, trashManager });
+  const groupManager = new GroupManager({ db, trashManager, undoManager });
+  const teamManager = new TeamManager({ db, photoManager, trashManager, undoManager });
+  const playerManager = new PlayerManager({ db, groupManager, teamManager, photoManager, trashManager, undoManager });
+  undoManager.groupManager = groupManager;
+
+  return { trashManager, photoManager, undoManager, groupManager, teamManager, playerManager };
+}
+
+async function run() {
+  const DBManager = lookup('DBManager');
+  const MemoryAdapter = lookup('MemoryAdapter');
+
+  // Two layers, so reads are merged across them like in the browser
+  const cache = new MemoryAdapter();
+  const primary = new MemoryAdapter();
+  const db = new DBManager({ layers: [cache, primary] });
+  await db.init();
+
+  const { groupManager, teamManager, playerManager, photoManager, trashManager, undoManager } = createManagers(db);
+
+  const { group } = await groupManager.createGroup({ groupName: 'Headless', password: 'secret', creator: 'Node' });
+  assert.ok(group, 'group created');
+
+  const { team } = await teamManager.createTeam({ teamName: 'Scripts', manager: 'Node', groupId: group.groupId });
+  assert.ok(team, 'team created');
+
+  const created = await playerManager.createPlayer({
+    teamId: team.teamId,
+    playerName: 'Ada',
+    stats: { face: 90, personality: 80 },
+    capBreakers: { athletic: 50 }
+  });
+  assert.ok(created.success, created.error);
+  const { player } = created;
+  assert.ok(player.overall > 0, 'ratings calculated');
+
+  // Written to every layer, read back through the indexed query
+  assert.ok(await primary.get('players', player.playerId), 'player in the primary layer');
+  const teamPlayers = await db.queryBy('players', 'teamId', team.teamId);
+  assert.deepStrictEqual(teamPlayers.map(p => p.playerId), [player.playerId]);
+
+  const found = await playerManager.queryPlayers({ groupId: group.groupId, conditions: [{ field: 'overall', op: '>', value: 0 }] });
+  assert.strictEqual(found.length, 1, 'query finds the player');
+
+  // Edit, undo, redo
+  const updated = await playerManager.updatePlayer(player.playerId, { playerName: 'Ada L.' });
+  assert.ok(updated.success, updated.error);
+  assert.ok((await undoManager.undo()).success, 'undo');
+  assert.strictEqual((await playerManager.getPlayer(player.playerId)).playerName, 'Ada');
+  assert.ok((await undoManager.redo()).success, 'redo');
+  assert.strictEqual((await playerManager.getPlayer(player.playerId)).playerName, 'Ada L.');
+
+  // A duplicate keeps the photo, as its own copy
+  await photoManager.putLocal('photo_headless', new Blob(['headless'], { type: 'image/jpeg' }));
+  assert.ok((await playerManager.updatePlayer(player.playerId, { playerPhotoId: 'photo_headless' })).success, 'photo set');
+  const duplicated = await playerManager.duplicatePlayer(player.playerId);
+  assert.ok(duplicated.success, duplicated.error);
+  const copyPhotoId = duplicated.player.playerPhotoId;
+  assert.ok(copyPhotoId && copyPhotoId !== 'photo_headless', 'duplicate has its own photo');
+  assert.strictEqual((await photoManager.getPhoto(copyPhotoId)).size, 'headless'.length, 'duplicate photo stored');
+  assert.ok((await playerManager.deletePlayer(duplicated.player.playerId)).success, 'duplicate deleted');
+
+  // Trash and restore
+  assert.ok((await playerManager.deletePlayer(player.playerId)).success, 'delete');
+  assert.ok(trashManager.isTrashed(await db.get('players', player.playerId)), 'player trashed');
+  assert.strictEqual(await playerManager.getPlayer(player.playerId), null, 'trashed player hidden');
+  assert.ok((await trashManager.restore('players', player.playerId)).success, 'restore');
+  assert.ok(await playerManager.getPlayer(player.playerId), 'player restored');
+
+  const integrity = await db.verifyIntegrity();
+  assert.deepStrictEqual(integrity.issues, [], 'no integrity issues');
+
+  // Resolved schemas are cached by content and shared read-only
+  const ratingsCalculator = lookup('ratingsCalculator');
+  const schema = ratingsCalculator.getDefaultSchema();
+  assert.strictEqual(ratingsCalculator.getSchema(schema), ratingsCalculator.getSchema(deepClone(schema)), 'schema cached by content');
+  assert.ok(Object.isFrozen(ratingsCalculator.getSchema(null).baseStats[0]), 'default schema frozen');
+  assert.ok(Object.isFrozen(ratingsCalculator.getSchema(schema).baseStats), 'group schema frozen');
+  assert.ok(!Object.isFrozen(schema), 'caller\'s schema left alone');
+
+  // The pages' own instances run headless too (in-memory by default)
+  await lookup('dbManager').init();
+  assert.ok(lookup('dbManager').layers.every(layer => layer instanceof MemoryAdapter));
+}
+
+/**
+ * A player saved before schema versioning, with stats stored as weighted
+ * points: a 99 "Dark Matter" on the weights of the time
+ */
+function legacyPlayer(playerId, teamId) {
+  return {
+    playerId,
+    teamId,
+    playerName: 'Legacy',
+    stats: { face: 15, eyes: 5, hair: 5, top: 5, bottom: 5, fitness: 15, history: 10, personality: 20, tolerance: 10, substances: 2 },
+    capBreakers: { athletic: 2, height: 1, attractiveness: 2, intoYou: 1, comfort: 1 },
+    baseTotal: 92,
+    capBreakerTotal: 7,
+    overall: 99,
+    tier: 'Dark Matter',
+    createdAt: 1,
+    updatedAt: 1
+  };
+}
+
+async function checkLegacyPlayers() {
+  const DBManager = lookup('DBManager');
+  const MemoryAdapter = lookup('MemoryAdapter');
+
+  const local = new MemoryAdapter();
+  const cloud = new MemoryAdapter();
+  cloud.remote = true;
+  cloud.systemStores = false;
+  const db = new DBManager({ layers: [local, cloud], coordinator: null });
+  await db.init();
+
+  // The second is unversioned too, but already on the 0-100 scale (its totals say so)
+  await cloud.put('players', 'player_legacy', legacyPlayer('player_legacy', 'team_legacy'));
+  await cloud.put('players', 'player_sliders', {
+    ...legacyPlayer('player_sliders', 'team_legacy'),
+    stats: { face: 90, personality: 80 },
+    capBreakers: {},
+    baseTotal: 29.5,
+    capBreakerTotal: 0,
+    overall: 30,
+    tier: 'Bronze'
+  });
+
+  // Upgraded when read, in every layer
+  const legacy = await db.get('players', 'player_legacy');
+  assert.strictEqual(legacy.stats.face, 100, 'weighted points converted');
+  assert.strictEqual(legacy.stats.substances, 20, 'weighted points converted');
+  assert.strictEqual(legacy.capBreakers.comfort, 33, 'cap breakers converted');
+  assert.strictEqual((await cloud.get('players', 'player_legacy')).schemaVersion, lookup('SCHEMA_VERSION'), 'remote copy upgraded');
+  assert.strictEqual((await cloud.get('players', 'player_legacy')).updatedAt, 1, 'upgrade is not an edit');
+  assert.strictEqual((await local.get('players', 'player_legacy')).stats.face, 100, 'local copy upgraded');
+
+  const sliders = await db.get('players', 'player_sliders');
+  assert.strictEqual(sliders.stats.face, 90, '0-100 values left alone');
+
+  // Rated again on their converted values, they keep their tier
+  const { groupManager, teamManager, playerManager } = createManagers(db);
+  const { group } = await groupManager.createGroup({ groupName: 'Legacy', password: 'secret', creator: 'Node' });
+  const { team } = await teamManager.createTeam({ teamName: 'Old Timers', manager: 'Node', groupId: group.groupId });
+  await cloud.put('players', 'player_stale', legacyPlayer('player_stale', team.teamId));
+
+  const recomputed = await playerManager.recomputeRatings();
+  assert.ok(recomputed.success, recomputed.error);
+  assert.ok(!recomputed.tierChanges.some(change => change.playerId === 'player_stale'), 'legacy player keeps its tier');
+  const stale = await cloud.get('players', 'player_stale');
+  assert.strictEqual(stale.overall, 99, 'legacy player keeps its overall');
+  assert.strictEqual(stale.tier, 'Dark Matter');
+
+  // So does a change to their group's schema
+  const rerated = await groupManager.setRatingSchema(group.groupId, lookup('ratingsCalculator').getDefaultSchema());
+  assert.ok(rerated.success, rerated.error);
+  assert.strictEqual((await cloud.get('players', 'player_stale')).overall, 99, 'schema change keeps the legacy player\'s overall');
+
+  // The integrity check rates them on their converted values too
+  await local.put('players', 'player_unread', legacyPlayer('player_unread', team.teamId));
+  await cloud.put('players', 'player_unread', legacyPlayer('player_unread', team.teamId));
+  const { issues } = await db.verifyIntegrity();
+  assert.ok(!issues.some(issue => issue.type === 'rating-mismatch' && issue.id === 'player_unread'), 'no rating mismatch for a legacy player');
+  await db.repair();
+  assert.strictEqual((await db.get('players', 'player_unread')).overall, 99, 'repair leaves the legacy player\'s rating alone');
+}
+
+run()
+  .then(() => checkLegacyPlayers())
+  .then(() => {
+    console.log('✅ Headless check passed');
+  })
+  .catch((error) => {
+    console.error('❌ Headless check failed:', error);
+    process.exitCode = 1;
+  });
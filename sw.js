@@ -3,8 +3,8 @@
  * Caches assets and provides offline functionality
  */
 
-const CACHE_NAME = 'hoopin-v1.0.0';
-const RUNTIME_CACHE = 'hoopin-runtime';
+const CACHE_NAME = 'hoopin-v1.1.0';
+const RUNTIME_CACHE = 'hoopin-runtime-v1.1.0';
 
 // Assets to cache immediately
 const PRECACHE_ASSETS = [
@@ -18,6 +18,9 @@ const PRECACHE_ASSETS = [
   '/roster-view.html',
   '/divisions.html',
   '/player-card.html',
+  '/player-compare.html',
+  '/rating-schema.html',
+  '/tier-ladder.html',
   '/css/global.css',
   '/css/mobile.css',
   '/css/cards.css',
@@ -26,7 +29,14 @@ const PRECACHE_ASSETS = [
   '/css/animations.css',
   '/js/app.js',
   '/js/firebase-config.js',
+  '/js/migrations.js',
+  '/js/conflict-resolver.js',
+  '/js/tab-coordinator.js',
+  '/js/storage-adapters.js',
   '/js/db-manager.js',
+  '/js/trash.js',
+  '/js/photos.js',
+  '/js/undo.js',
   '/js/utils.js',
   '/js/image-optimizer.js',
   '/js/performance.js',